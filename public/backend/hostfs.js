@@ -12,6 +12,8 @@ module.exports = {
   fsRead, fsWrite, fsReadDir,
   fsSettingsRead, fsSettingsWrite,
   fsRename,
+  fsMakeDir,
+  fsWatch, fsUnwatch,
   fsOpenExternal,
   fsDirname, fsBasename, fsExtname,
   fsRelpath,
@@ -127,12 +129,60 @@ async function fsRead(fileid, encoding) {
   return fs.promises.readFile(fileid, {encoding: encoding});
 }
 
-async function fsWrite(fileid, content, encoding) {
+//-----------------------------------------------------------------------------
+// Writing is done to temp file in the same directory, which is then renamed
+// over the target. If anything fails, the original file is left untouched.
+// Optionally, previous contents are kept in rotating backups:
+//
+//    Story.mawe.bak      Previous content
+//    Story.mawe.bak.1    Content before that
+//    ...
+//-----------------------------------------------------------------------------
+
+async function fsWrite(fileid, content, encoding, options = {}) {
   console.log("fsWrite:", fileid)
-  await fs.promises.writeFile(fileid, content, {encoding: encoding});
+
+  const {backups = 0} = options
+  const tmpid = path.join(
+    path.dirname(fileid),
+    `.${path.basename(fileid)}.${process.pid}.${Date.now()}.tmp`
+  )
+
+  try {
+    const original = await fs.promises.stat(fileid).catch(err => undefined)
+
+    const handle = await fs.promises.open(tmpid, "w", original?.mode)
+    try {
+      await handle.writeFile(content, {encoding: encoding});
+      await handle.sync()
+    } finally {
+      await handle.close()
+    }
+
+    if(original && backups > 0) await rotateBackups(fileid, backups)
+
+    await fs.promises.rename(tmpid, fileid)
+  } catch(err) {
+    await fs.promises.rm(tmpid, {force: true}).catch(err => undefined)
+    throw err
+  }
   return fsGetFileEntry(fileid);
 }
 
+function backupName(fileid, index) {
+  return index ? `${fileid}.bak.${index}` : `${fileid}.bak`
+}
+
+async function rotateBackups(fileid, backups) {
+  for(var index = backups - 1; index > 0; index--) {
+    const src = backupName(fileid, index - 1)
+    if(await fs.pathExists(src)) {
+      await fs.move(src, backupName(fileid, index), {overwrite: true})
+    }
+  }
+  await fs.copy(fileid, backupName(fileid, 0), {overwrite: true, preserveTimestamps: true})
+}
+
 async function fsReadDir(dirid)
 {
   return Promise.all(
@@ -170,6 +220,44 @@ async function fsRename(fileid, name) {
 
 //-----------------------------------------------------------------------------
 
+async function fsMakeDir(dirid) {
+  await fs.ensureDir(dirid)
+  return fsGetFileEntry(dirid);
+}
+
+//-----------------------------------------------------------------------------
+// Watch file modifications. Renderer is informed about changes with
+// "filechanged" message.
+//-----------------------------------------------------------------------------
+
+const watched = new Map()
+
+function fsWatch(browserWindow, fileid) {
+  const {ipcMain: ipc} = require("electron-better-ipc");
+
+  fsUnwatch(fileid)
+
+  function listener(curr, prev) {
+    if(curr.mtimeMs === prev.mtimeMs) return
+    if(browserWindow.isDestroyed()) return fsUnwatch(fileid)
+
+    console.log("fsWatch: Changed:", fileid)
+    ipc.callRenderer(browserWindow, "filechanged", {id: fileid, modified: curr.mtimeMs})
+    .catch(err => console.log("fsWatch:", err))
+  }
+
+  fs.watchFile(fileid, {interval: 2000}, listener)
+  watched.set(fileid, listener)
+}
+
+function fsUnwatch(fileid) {
+  if(!watched.has(fileid)) return
+  fs.unwatchFile(fileid, watched.get(fileid))
+  watched.delete(fileid)
+}
+
+//-----------------------------------------------------------------------------
+
 function fsOpenExternal(fileid) {
   console.log("open:", fileid);
   return shell.openPath(fileid)
@@ -0,0 +1,49 @@
+//*****************************************************************************
+//*****************************************************************************
+//
+// Printing HTML to PDF with Electron
+//
+//*****************************************************************************
+//*****************************************************************************
+
+module.exports = {
+  printPDF,
+}
+
+//-----------------------------------------------------------------------------
+
+const {BrowserWindow} = require("electron");
+
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+
+//-----------------------------------------------------------------------------
+// HTML is written to a temporary file and rendered in a hidden window. Large
+// stories would not fit to data URL. Returns the PDF content.
+//
+// Options are passed to webContents.printToPDF, see:
+// https://www.electronjs.org/docs/latest/api/web-contents#contentsprinttopdfoptions
+//-----------------------------------------------------------------------------
+
+async function printPDF(html, options = {}) {
+  const tmpid = path.join(os.tmpdir(), `mawe.${process.pid}.${Date.now()}.html`)
+
+  const window = new BrowserWindow({
+    show: false,
+    webPreferences: {
+      javascript: false,
+      sandbox: true,
+      contextIsolation: true,
+    },
+  })
+
+  try {
+    await fs.writeFile(tmpid, html, "utf8")
+    await window.loadFile(tmpid)
+    return await window.webContents.printToPDF(options)
+  } finally {
+    window.destroy()
+    await fs.rm(tmpid, {force: true})
+  }
+}
@@ -0,0 +1,109 @@
+//*****************************************************************************
+//*****************************************************************************
+//
+// Spell checking: language, story dictionary and context menu
+//
+//*****************************************************************************
+//*****************************************************************************
+
+module.exports = {
+  spellSetup,
+  spellSetLanguage,
+  spellSetWords,
+}
+
+//-----------------------------------------------------------------------------
+
+const {Menu} = require("electron");
+
+//-----------------------------------------------------------------------------
+// Context menu: suggestions for misspelled word, ignoring it in the story,
+// and common editing commands. Ignored words are sent to renderer, which
+// stores them to the story.
+//-----------------------------------------------------------------------------
+
+function spellSetup(browserWindow) {
+  const {webContents} = browserWindow
+
+  webContents.on("context-menu", (event, params) => {
+    const {misspelledWord, dictionarySuggestions, isEditable} = params
+
+    if(!isEditable) return
+
+    const suggestions = misspelledWord ? [
+      ...dictionarySuggestions.map(word => ({label: word, click: () => webContents.replaceMisspelling(word)})),
+      ...(dictionarySuggestions.length ? [] : [{label: "No suggestions", enabled: false}]),
+      {type: "separator"},
+      {label: "Ignore in story", click: () => ignoreWord(browserWindow, misspelledWord)},
+      {type: "separator"},
+    ] : []
+
+    Menu.buildFromTemplate([
+      ...suggestions,
+      {role: "cut"},
+      {role: "copy"},
+      {role: "paste"},
+    ]).popup({window: browserWindow})
+  })
+
+  browserWindow.on("close", () => spellSetWords(browserWindow, []))
+}
+
+function ignoreWord(browserWindow, word) {
+  const {ipcMain: ipc} = require("electron-better-ipc");
+
+  ipc.callRenderer(browserWindow, "spellignore", word)
+  .catch(err => console.log("spellignore:", err))
+}
+
+//-----------------------------------------------------------------------------
+// Language: story language is matched to available dictionaries, first by
+// locale (en-US), then by language code (en, en-GB, ...). Returns the
+// selected dictionary, or undefined if there is none for the language.
+//
+// On macOS, the native spell checker is used. It has no dictionary list to
+// choose from, and it detects the language by itself.
+//-----------------------------------------------------------------------------
+
+function spellSetLanguage(browserWindow, {code, locale}) {
+  if(process.platform === "darwin") return locale ?? code
+
+  const {session} = browserWindow.webContents
+  const available = session.availableSpellCheckerLanguages
+
+  const language = (
+    available.find(lang => lang === locale) ??
+    available.find(lang => lang === code) ??
+    available.find(lang => lang.startsWith(`${code}-`))
+  )
+
+  if(language) session.setSpellCheckerLanguages([language])
+  return language
+}
+
+//-----------------------------------------------------------------------------
+// Story dictionary: Chromium has only one custom dictionary, so the words
+// of the story are added there while the story is open, and removed when
+// the story is closed. Words that were in the dictionary already are not
+// touched.
+//-----------------------------------------------------------------------------
+
+var storyWords = new Set()
+
+async function spellSetWords(browserWindow, words) {
+  const {session} = browserWindow.webContents
+  const next = new Set(words)
+
+  for(const word of storyWords) {
+    if(!next.has(word)) session.removeWordFromSpellCheckerDictionary(word)
+  }
+
+  const existing = new Set(await session.listWordsInSpellCheckerDictionary())
+  const added = words.filter(word => storyWords.has(word) || !existing.has(word))
+
+  for(const word of added) {
+    if(!storyWords.has(word)) session.addWordToSpellCheckerDictionary(word)
+  }
+
+  storyWords = new Set(added)
+}
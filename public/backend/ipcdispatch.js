@@ -11,6 +11,8 @@ module.exports = { ipcDispatch }
 const hostapp = require("./hostapp")
 const hostfs = require("./hostfs");
 const dialog = require("./hostdialog");
+const hostprint = require("./hostprint");
+const hostspell = require("./hostspell");
 
 function ipcDispatch(channel, params, browserWindow) {
   const [cmd, ...args] = params
@@ -23,6 +25,9 @@ function ipcDispatch(channel, params, browserWindow) {
         case "quit": return hostapp.quit(...args)
         case "log": return hostapp.log(...args)
         case "beep": return hostapp.beep(...args)
+        case "printpdf": return hostprint.printPDF(...args)
+        case "spelllang": return hostspell.spellSetLanguage(browserWindow, ...args)
+        case "spellwords": return hostspell.spellSetWords(browserWindow, ...args)
         default: break;
       }
       throw Error(`IPC: ${channel}/${cmd}: Not implemented.`);
@@ -38,6 +43,9 @@ function ipcDispatch(channel, params, browserWindow) {
         case "settingswrite": return hostfs.fsSettingsWrite(...args);
         case "readdir": return hostfs.fsReadDir(...args);
         case "rename": return hostfs.fsRename(...args);
+        case "mkdir": return hostfs.fsMakeDir(...args);
+        case "watch": return hostfs.fsWatch(browserWindow, ...args);
+        case "unwatch": return hostfs.fsUnwatch(...args);
         case "openexternal": return hostfs.fsOpenExternal(...args);
         case "readresource": return hostfs.fsReadResource(...args);
         case "dirname": return hostfs.fsDirname(...args);
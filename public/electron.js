@@ -39,6 +39,7 @@ if(isDev) require("electron-reload")(path.join(__dirname, "../src/"))
 const {BrowserWindow} = electron;
 const {globalShortcut} = electron;
 const windowStateKeeper = require('electron-window-state');
+const {spellSetup} = require("./backend/hostspell");
 
 var mainWindow = null;
 
@@ -69,8 +70,7 @@ async function createWindow()
   mainWindow.on("closed", () => (mainWindow = null));
 
   mainWindow.setMenu(null);
-  //console.log("Languages:", mainWindow.webContents.session.availableSpellCheckerLanguages)
-  //mainWindow.webContents.session.setSpellCheckerLanguages(['fi'])
+  spellSetup(mainWindow)
   mainWindow.webContents.openDevTools();
 
   if(isDev)
@@ -10,6 +10,8 @@ export function info(head) {
   return {
     ...getTitle(head),
     ...getAuthor(head),
+    ...getContact(head),
+    lang: head.lang,
   }
 }
 
@@ -41,6 +43,68 @@ function getAuthor(head) {
   }
 }
 
+// Contact info for manuscripts: real name is used even if the story is
+// published with pseudonym.
+
+function getContact(head) {
+  return {
+    realname: head.author,
+    address: head.address,
+    email: head.email,
+  }
+}
+
+//-----------------------------------------------------------------------------
+// Story language: used by exports for hyphenation, quotes and wording.
+// Stories without language are Finnish, as that was the language before
+// this setting.
+//-----------------------------------------------------------------------------
+
+export const languages = {
+  "en": {
+    name: "English",
+    code: "en",
+    locale: "en-US",
+    babel: "english",
+    rtf: 1033,
+    quotes: ["“", "”"],
+    chapter: "Chapter",
+  },
+  "fi": {
+    name: "Suomi",
+    code: "fi",
+    locale: "fi-FI",
+    babel: "finnish",
+    rtf: 1035,
+    quotes: ["”", "”"],
+    chapter: "Luku",
+  },
+  "sv": {
+    name: "Svenska",
+    code: "sv",
+    locale: "sv-SE",
+    babel: "swedish",
+    rtf: 1053,
+    quotes: ["”", "”"],
+    chapter: "Kapitel",
+  },
+}
+
+export function getLanguage(lang) {
+  return languages[lang] ?? languages["fi"]
+}
+
+// Replace straight double quotes with language specific ones. Quote is an
+// opening one, if it is at the start or follows a space or an opening bracket.
+
+export function localQuotes(text, lang, prev = "") {
+  const [open, close] = getLanguage(lang).quotes
+  return text.replaceAll(/"/g, (match, offset) => {
+    const before = offset ? text[offset - 1] : prev
+    return (!before || /[\s([{\u2014]/u.test(before)) ? open : close
+  })
+}
+
 export function storyType(story) {
   switch(story.exports?.type) {
     case "short": return "Short"
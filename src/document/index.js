@@ -8,6 +8,7 @@
 
 import {loadmawe, createmawe, buf2tree, fromXML} from "./xmljs/load"
 import {savemawe, toXML} from "./xmljs/save"
+import {loadmoe} from "./xmljs/moe"
 import {asRTF, asHTML} from "./print"
 
 import {info} from "./head"
@@ -63,6 +64,18 @@ async function load(file) {
     }
   }
 
+  // Legacy files are converted to mawe, so they are not attached to the
+  // file: they are saved with "Save as".
+
+  if (format === "moe") {
+    const doc = await loadmoe(file);
+
+    return {
+      file: undefined,
+      ...doc
+    }
+  }
+
   throw new Error(`${file.name}: Unknown type.`);
 }
 
@@ -72,16 +85,31 @@ function create(buffer) {
 
 //-----------------------------------------------------------------------------
 
-export async function saveas(doc, filename) {
+export async function saveas(doc, filename, options) {
   //const file = await fs.fstat(filename)
   //console.log("Saving:", doc)
   // TODO: Fill in basename + suffix
   return await savemawe({
     ...doc,
     file: { id: filename },
-  })
+  }, options)
 }
 
-export async function save(doc) {
-  return await savemawe(doc);
+export async function save(doc, options) {
+  await checkModified(doc.file)
+  return await savemawe(doc, options);
+}
+
+//-----------------------------------------------------------------------------
+// Refuse to overwrite file, if it has been modified after loading it.
+//-----------------------------------------------------------------------------
+
+async function checkModified(file) {
+  if(!file?.modified) return
+
+  const current = await fs.fstat(file.id).catch(err => undefined)
+
+  if(current && current.modified !== file.modified) {
+    throw new Error(`${file.name}: File has been modified on disk.`)
+  }
 }
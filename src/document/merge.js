@@ -0,0 +1,199 @@
+//*****************************************************************************
+//*****************************************************************************
+//
+// Scene level three-way merge of sections. Used when the file has been
+// modified on disk while the story is being edited.
+//
+//*****************************************************************************
+//*****************************************************************************
+
+import {elemName, filterCtrlElems, wcElem, nanoid} from "./util"
+
+//-----------------------------------------------------------------------------
+// Chapters and scenes are matched by their names (and the occurrence of the
+// name, as there may be several scenes with the same name). Ids are not
+// stored to file, so they can't be used to match elements on disk. But mine
+// and base share the ids, so my elements are matched with the names they
+// had in base, and renaming is not taken as a new element. Content is
+// compared without ids, word counts and folding.
+//
+// - If only one side has changed a scene, that change is taken
+// - If both sides have changed a scene, mine is kept and their version is
+//   added after it as a conflicting copy
+// - Deletion is honored only if the other side has not changed the scene
+// - Scenes and chapters added to disk are appended to the end
+//-----------------------------------------------------------------------------
+
+export function mergeSection(base, mine, theirs) {
+  const baseIndex = indexSection(base)
+  const theirIndex = indexSection(theirs)
+  const baseKeys = indexKeys(base)
+  const used = new Set()
+
+  const chapters = keyed(mine.chapters).map(([name, chapter]) => {
+    const key = baseKeys.get(chapter.id) ?? name
+    const children = mergeScenes(chapter, baseIndex.get(key), theirIndex.get(key), baseKeys)
+    used.add(key)
+    return children.length ? {...chapter, children} : undefined
+  })
+  .filter(chapter => chapter)
+
+  for(const [key, chapter] of keyed(theirs.chapters)) {
+    if(used.has(key)) continue
+    const scenes = filterCtrlElems(chapter.children).filter(scene => {
+      const baseScene = baseIndex.get(key)?.get(sceneKey(scene, chapter))
+      return !baseScene || !sameContent(baseScene, scene)
+    })
+    if(!scenes.length) continue
+    chapters.push(withWords({
+      ...chapter,
+      children: [chapterHeader(chapter), ...scenes],
+    }))
+  }
+
+  if(!chapters.length) return theirs
+
+  return withWords({
+    ...mine,
+    chapters: chapters.map(withWords),
+  })
+}
+
+//-----------------------------------------------------------------------------
+
+function mergeScenes(chapter, baseScenes, theirScenes, baseKeys) {
+  const header = chapter.children.filter(elem => elem.type === "hchapter")
+  const result = []
+  const used = new Set()
+
+  for(const [name, scene] of keyed(filterCtrlElems(chapter.children))) {
+    const key = baseKeys.get(scene.id)
+    const skey = key && baseScenes?.get(key)?.id === scene.id ? key : name
+    const baseScene = baseScenes?.get(skey)
+    const theirScene = theirScenes?.get(skey)
+    used.add(skey)
+
+    if(!theirScene) {
+      // Deleted on disk: keep, if I have changed it
+      if(!baseScene || !sameContent(baseScene, scene)) result.push(scene)
+      continue
+    }
+    if(sameContent(scene, theirScene)) { result.push(scene); continue; }
+    if(baseScene && sameContent(baseScene, scene)) { result.push(theirScene); continue; }
+    if(baseScene && sameContent(baseScene, theirScene)) { result.push(scene); continue; }
+
+    result.push(scene, conflictCopy(theirScene))
+  }
+
+  for(const [skey, scene] of theirScenes ?? []) {
+    if(used.has(skey)) continue
+    const baseScene = baseScenes?.get(skey)
+
+    // Deleted by me: keep, if it has been changed on disk
+    if(baseScene && sameContent(baseScene, scene)) continue
+    result.push(sceneHeader(scene))
+  }
+
+  return result.length ? [...header, ...result] : []
+}
+
+//-----------------------------------------------------------------------------
+// Indexing: chapter key -> (scene key -> scene)
+//-----------------------------------------------------------------------------
+
+function indexSection(section) {
+  return new Map((section ? keyed(section.chapters) : []).map(([key, chapter]) => [
+    key,
+    new Map(keyed(filterCtrlElems(chapter.children)))
+  ]))
+}
+
+// Element id -> key in base
+
+function indexKeys(section) {
+  const keys = new Map()
+  for(const [key, chapter] of section ? keyed(section.chapters) : []) {
+    keys.set(chapter.id, key)
+    for(const [skey, scene] of keyed(filterCtrlElems(chapter.children))) keys.set(scene.id, skey)
+  }
+  return keys
+}
+
+function keyed(elems) {
+  const count = {}
+  return elems.map(elem => {
+    const name = elemName(elem)
+    count[name] = (count[name] ?? 0) + 1
+    return [`${name}#${count[name]}`, elem]
+  })
+}
+
+function sceneKey(scene, chapter) {
+  return keyed(filterCtrlElems(chapter.children)).find(([key, elem]) => elem === scene)[0]
+}
+
+//-----------------------------------------------------------------------------
+// Content comparison
+//-----------------------------------------------------------------------------
+
+function sameContent(a, b) {
+  return signature(a) === signature(b)
+}
+
+function signature(elem) {
+  return JSON.stringify(elem.children, (key, value) => {
+    switch(key) {
+      case "id":
+      case "words":
+      case "folded": return undefined
+      default: break
+    }
+    return value
+  })
+}
+
+//-----------------------------------------------------------------------------
+// Blocks moved from another file need headers, otherwise they would be
+// merged to the previous block in the editor.
+//-----------------------------------------------------------------------------
+
+function chapterHeader(chapter) {
+  const [head] = chapter.children
+  if(head?.type === "hchapter") return head
+  return {type: "hchapter", id: nanoid(), children: [{text: ""}], words: {}}
+}
+
+function sceneHeader(scene, suffix) {
+  const [head, ...children] = scene.children
+  const hasHead = head?.type === "hscene"
+  const name = hasHead ? elemName(scene) : ""
+
+  if(hasHead && !suffix) return scene
+
+  return {
+    ...scene,
+    children: [
+      {...(hasHead ? head : {}), type: "hscene", id: nanoid(), children: [{text: suffix ? `${name} ${suffix}` : name}], words: {}},
+      ...(hasHead ? children : scene.children),
+    ]
+  }
+}
+
+function conflictCopy(scene) {
+  const copy = sceneHeader(scene, "(disk)")
+  const [head, ...children] = copy.children
+
+  return {
+    ...copy,
+    id: nanoid(),
+    children: [
+      head,
+      {type: "comment", id: nanoid(), children: [{text: "Conflict: this scene was modified both here and on disk."}]},
+      ...children,
+    ]
+  }
+}
+
+function withWords(elem) {
+  return {...elem, words: wcElem({type: "sect", children: elem.children ?? elem.chapters})}
+}
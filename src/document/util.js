@@ -48,7 +48,7 @@ export function decodebuf(buffer) {
   return utf8decoder.decode(buffer)
 }
 
-export async function buf2file(doc, buffer) {
+export async function buf2file(doc, buffer, options) {
   const file = doc.file;
 
   // Sanity check here: make sure that buffer is extracted to the same doc as
@@ -59,9 +59,9 @@ export async function buf2file(doc, buffer) {
   return await fs.write("savetest.mawe", buffer);
   /*/
   if(file.id.endsWith(".gz")) {
-    return await fs.write(file.id, gzip(buffer, {level: 9}));
+    return await fs.write(file.id, gzip(buffer, {level: 9}), undefined, options);
   } else {
-    return await fs.write(file.id, buffer);
+    return await fs.write(file.id, buffer, undefined, options);
   }
   /**/
 }
@@ -82,10 +82,13 @@ export function filterCtrlElems(blocks) {
   return blocks.filter(block => !ctrltypes.includes(block.type))
 }
 
+// Text suggested to be deleted is not included
+
 export function elemAsText(elem) {
   if(!elem?.children) return ""
   return (
     elem.children
+    .filter(elem => elem.revision !== "del")
     .map(elem => elem.text)
     .join("")
   )
@@ -13,7 +13,7 @@ Why version control? Because it makes certain things simpler. There is no need
 for complex save / overwrite operations, as user can always get back to previous
 versions. It safeguards against accidental deletions and such.
 
-See: docs/FileTypes.txt
+See: docs/MAWE.VersionedFile.txt
 
 Sketching: Works only for MAWE files with UUID.
 
@@ -41,4 +41,84 @@ Version control directory:
   for accidental deleting.
 
 -------------------------------------------------------------------------------
-*/
\ No newline at end of file
+*/
+
+import JSZip from "jszip"
+
+const fs = require("../system/localfs");
+
+//-----------------------------------------------------------------------------
+// Revisions are stored as <number>.mawe files, the newest having the highest
+// number. Word counts are stored to file comments, so that the revisions can
+// be listed without parsing them.
+//-----------------------------------------------------------------------------
+
+async function archiveName(doc) {
+  const dirname = await fs.dirname(doc.file.id)
+  return await fs.makepath(dirname, ".mawe", "vctl", `${doc.uuid}.zip`)
+}
+
+async function openArchive(filename) {
+  try {
+    await fs.fstat(filename)
+  } catch(e) {
+    return new JSZip()
+  }
+  return await JSZip.loadAsync(await fs.read(filename, null))
+}
+
+function zip2revisions(zip) {
+  return zip.file(/^\d+\.mawe$/)
+    .map(entry => ({
+      name: entry.name,
+      number: parseInt(entry.name),
+      date: entry.date,
+      words: parseComment(entry.comment),
+    }))
+    .sort((a, b) => b.number - a.number)
+
+  function parseComment(comment) {
+    try {
+      return JSON.parse(comment)
+    } catch(e) {
+      return undefined
+    }
+  }
+}
+
+//-----------------------------------------------------------------------------
+
+export async function vctlCommit(doc, buffer) {
+  if(!doc.file?.id || !doc.uuid) return
+
+  const filename = await archiveName(doc)
+  const zip = await openArchive(filename)
+  const [latest] = zip2revisions(zip)
+  const number = (latest?.number ?? 0) + 1
+
+  const {text, missing} = doc.body.words ?? {}
+
+  zip.file(`${number}.mawe`, buffer, {
+    date: new Date(),
+    comment: JSON.stringify({text, missing}),
+  })
+
+  await fs.mkdir(await fs.dirname(filename))
+  return await fs.write(filename, await zip.generateAsync({
+    type: "uint8array",
+    compression: "DEFLATE",
+  }))
+}
+
+export async function vctlRevisions(doc) {
+  if(!doc.file?.id || !doc.uuid) return []
+
+  return zip2revisions(await openArchive(await archiveName(doc)))
+}
+
+export async function vctlRevision(doc, name) {
+  const zip = await openArchive(await archiveName(doc))
+  const entry = zip.file(name)
+  if(!entry) throw new Error(`${name}: Revision not found.`)
+  return await entry.async("string")
+}
@@ -0,0 +1,84 @@
+//*****************************************************************************
+//*****************************************************************************
+//
+// Story versions inside .mawe file, see docs/MAWE.VersionSections.txt
+//
+//*****************************************************************************
+//*****************************************************************************
+
+import {current, isDraft} from "immer"
+import {nanoid, createDateStamp} from "./util"
+import {parseSection} from "./xmljs/load"
+
+//-----------------------------------------------------------------------------
+// These functions are meant to be called inside updateDoc(). Versions are
+// stored newest first. Switching the body changes the doc key, so that the
+// views (and editors) are recreated with the new content.
+//-----------------------------------------------------------------------------
+
+function plain(elem) {
+  return isDraft(elem) ? current(elem) : elem
+}
+
+function headFields(head) {
+  const {name, last, ...fields} = plain(head)
+  return fields
+}
+
+function body2version(doc, name) {
+  return {
+    ...plain(doc.body),
+    name: name || doc.body.name || createDateStamp(),
+    id: nanoid(),
+    created: createDateStamp(),
+    head: headFields(doc.head),
+  }
+}
+
+function version2body(doc, version) {
+  const {id, created, head, ...body} = plain(version)
+
+  doc.body = body
+  doc.head = {
+    name: doc.head.name,
+    last: doc.head.last,
+    ...head,
+  }
+  doc.key = nanoid()
+}
+
+//-----------------------------------------------------------------------------
+// (1) Leave a mark behind: copy current body to version
+//-----------------------------------------------------------------------------
+
+export function snapshotVersion(doc, name) {
+  doc.versions.unshift(body2version(doc, name))
+}
+
+//-----------------------------------------------------------------------------
+// (2) Switch version: chosen version becomes body, body becomes version
+//-----------------------------------------------------------------------------
+
+export function switchVersion(doc, id) {
+  const index = doc.versions.findIndex(version => version.id === id)
+  if(index < 0) return
+
+  const version = plain(doc.versions[index])
+
+  doc.versions.splice(index, 1)
+  doc.versions.unshift(body2version(doc))
+  version2body(doc, version)
+}
+
+//-----------------------------------------------------------------------------
+// (3) Start from empty body: current body becomes version
+//-----------------------------------------------------------------------------
+
+export function newEmptyDraft(doc, name) {
+  doc.versions.unshift(body2version(doc))
+  doc.body = {
+    ...parseSection(undefined),
+    name: name || undefined,
+  }
+  doc.key = nanoid()
+}
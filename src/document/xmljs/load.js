@@ -33,6 +33,16 @@ import { elemFind, elemFindall, elem2Text } from "./tree";
 //      <chapter> ... </chapter>
 //      ...
 //    </notes>
+//    <annotations>
+//      <annotation id="xxx" created="yyyy-mm-ddThh:mm:ssZ">text</annotation>
+//      ...
+//    </annotations>
+//    <version name="xxx" created="yyyy-mm-dd">
+//      <head> ... </head>
+//      <chapter> ... </chapter>
+//      ...
+//    </version>
+//    ...
 //
 //-----------------------------------------------------------------------------
 
@@ -81,6 +91,8 @@ export function fromXML(root) {
   const body  = parseSection(bodyElem)
   const notes = parseSection(notesElem)
 
+  const versions = elemFindall(story, "version").map(parseVersion)
+
   const headElem  = elemFind(story, "head")
   const expElem   = elemFind(story, "export")
   const uiElem    = elemFind(story, "ui")
@@ -88,6 +100,8 @@ export function fromXML(root) {
   const history = parseHistory(elemFind(story, "history"), body)
 
   const head  = parseHead(headElem, history)
+  const spelling = parseSpelling(elemFind(story, "spelling"))
+  const annotations = parseAnnotations(elemFind(story, "annotations"))
 
   const exports = loadExportSettings(expElem)
   const ui = {
@@ -105,9 +119,12 @@ export function fromXML(root) {
       name,
     },
     exports,
+    spelling,
+    annotations,
     ui,
     body,
     notes,
+    versions,
     history,
   }
 }
@@ -129,30 +146,64 @@ function parseHead(head, history) {
   const [last] = history.filter(e => e.type === "words" && e.date !== date).sort().slice(-1)
   console.log("Last time:", last)
 
+  return {
+    ...parseHeadFields(head),
+    last
+  }
+}
+
+function parseHeadFields(head) {
   return {
     title: optional(head, "title", elem2Text),
     subtitle: optional(head, "subtitle", elem2Text),
 
     author: optional(head, "author", elem2Text),
     pseudonym: optional(head, "pseudonym", elem2Text) ?? optional(head, "nickname", elem2Text),
+    lang: optional(head, "lang", elem2Text),
+    address: optional(head, "address", elem2Text),
+    email: optional(head, "email", elem2Text),
 
     //translated: optional(head, "translated", elem2Text),
     //status: optional(head, "status", elem2Text),
     //deadline: optional(head, "deadline", elem2Text),
     //covertext: optional(head, "covertext", elem2Text),
     //version: optional(head, "version", elem2Text),
+  }
+}
 
-    last
+//-----------------------------------------------------------------------------
+// Story dictionary: words not flagged by spell checker
+//-----------------------------------------------------------------------------
+
+function parseSpelling(spelling) {
+  return {
+    ignore: elemFindall(spelling, "ignore").map(elem2Text).filter(word => word),
   }
 }
 
+//-----------------------------------------------------------------------------
+// Annotations: texts of the comments attached to words and phrases. The
+// annotated text is marked with <ann id="xxx"> inside paragraphs.
+//-----------------------------------------------------------------------------
+
+function parseAnnotations(annotations) {
+  return elemFindall(annotations, "annotation")
+    .filter(elem => elem.attributes?.id)
+    .map(elem => {
+      const {id, created} = elem.attributes
+      return {id, created, text: elem2Text(elem) ?? ""}
+    })
+}
+
 //*****************************************************************************
 //
 // Parsing sections
 //
 //*****************************************************************************
 
-function parseSection(section) {
+export function parseSection(section) {
+  const {name} = section?.attributes ?? {}
+
   function getChapters() {
     const chapters = elemFindall(section, "chapter")
     if(!chapters.length) return [{type: "chapter", id: nanoid()}]
@@ -162,11 +213,28 @@ function parseSection(section) {
   const words = wcChildren(chapters)
   return {
     type: "sect",
+    name,
     chapters,
     words,
   }
 }
 
+//-----------------------------------------------------------------------------
+// Versions are sections with their own head, so that the draft can be
+// exported as it was when the version was made.
+//-----------------------------------------------------------------------------
+
+function parseVersion(version) {
+  const {created} = version.attributes ?? {}
+
+  return {
+    ...parseSection(version),
+    id: nanoid(),
+    created,
+    head: parseHeadFields(elemFind(version, "head")),
+  }
+}
+
 function parseChapter(chapter, index) {
   const {name, folded, unnumbered} = chapter.attributes ?? {};
   const header = (!index && !name) ? [] : [{
@@ -253,6 +321,11 @@ function addMark(elem, marks) {
   if(elem.type === "element") {
     if(elem.name === "b") return {...marks, bold: true}
     if(elem.name === "i") return {...marks, italic: true}
+    if(elem.name === "ann") return {...marks, annotation: elem.attributes?.id}
+    if(elem.name === "ins" || elem.name === "del") {
+      const {author, date} = elem.attributes ?? {}
+      return {...marks, revision: elem.name, author: author ?? "", ...(date ? {date} : {})}
+    }
   }
   return marks
 }
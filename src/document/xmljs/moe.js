@@ -0,0 +1,236 @@
+//*****************************************************************************
+//*****************************************************************************
+//
+// Load legacy MOE files
+//
+//*****************************************************************************
+//*****************************************************************************
+
+import { file2buf } from "../util";
+import { buf2tree, maweFromTree } from "./load";
+import { elemFind, elemFindall, elem2Text } from "./tree";
+
+//-----------------------------------------------------------------------------
+// MOE file is a story with a heading, and a tree of nested groups and scenes:
+//
+// <story name="xxx">
+//    <title> ... </title>
+//    <author> ... </author>
+//    <group name="xxx">
+//      <group name="xxx">
+//        <scene name="xxx">
+//          <synopsis> ... </synopsis>
+//          <sketch> ... </sketch>
+//          <content> ... </content>
+//        </scene>
+//        ...
+//      </group>
+//      <scene> ... </scene>
+//      ...
+//    </group>
+//    <scene> ... </scene>
+//    ...
+// </story>
+//
+// MOE tree is converted to MAWE tree, which is then loaded as usual:
+//
+// - Top level scenes go to body, to first chapter
+// - Groups containing scenes only are chapters
+// - Groups containing chapter-like groups are parts: their groups are
+//   chapters, and their scenes are put to a chapter named after the part
+// - Deeper group trees are not recognized. They are flattened to notes, one
+//   chapter per tree, and nested group names are prefixed to scene names.
+//
+// Synopses go to synopsis paragraphs, sketches to comments.
+//-----------------------------------------------------------------------------
+
+export async function loadmoe(file) {
+  return moeFromBuffer(await file2buf(file))
+}
+
+export function moeFromBuffer(buffer) {
+  return maweFromTree(moe2mawe(buf2tree(buffer)))
+}
+
+export function moe2mawe(root) {
+  const story = root.elements?.find(e => e.type === "element")
+
+  if(!story) throw Error("File has no story.");
+
+  const {name} = story.attributes ?? {}
+  const content = elemFind(story, "body") ?? story
+  const head = elemFind(story, "head") ?? story
+
+  const body = []
+  const notes = []
+
+  var scenes = []
+
+  function flushScenes() {
+    if(scenes.length) body.push(chapter(undefined, scenes))
+    scenes = []
+  }
+
+  for(const elem of childElems(content)) {
+    switch(elem.name) {
+      case "scene": scenes.push(scene(elem)); break;
+      case "group": {
+        flushScenes()
+        switch(groupDepth(elem)) {
+          case 0: body.push(chapter(elem, childScenes(elem))); break;
+          case 1: body.push(...part(elem)); break;
+          default: notes.push(chapter(elem, flatten(elem, []))); break;
+        }
+        break;
+      }
+      default: break;
+    }
+  }
+  flushScenes()
+
+  return {
+    type: "root",
+    elements: [{
+      type: "element",
+      name: "story",
+      attributes: {format: "mawe", version: "3", ...(name ? {name} : {})},
+      elements: [
+        element("head", {}, headFields(head)),
+        element("body", {}, body),
+        element("notes", {}, notes),
+      ]
+    }]
+  }
+}
+
+//-----------------------------------------------------------------------------
+// Head
+//-----------------------------------------------------------------------------
+
+function headFields(head) {
+  const fields = [
+    ["title", "title"],
+    ["subtitle", "subtitle"],
+    ["author", "author"],
+    ["pseudonym", "pseudonym"],
+    ["nickname", "pseudonym"],
+  ]
+
+  return fields
+    .map(([from, to]) => [to, elemFind(head, from)])
+    .filter(([to, elem]) => elem)
+    .map(([to, elem]) => element(to, {}, [text(elem2Text(elem))]))
+}
+
+//-----------------------------------------------------------------------------
+// Groups
+//-----------------------------------------------------------------------------
+
+function childElems(elem) {
+  return (elem?.elements ?? []).filter(e => e.type === "element")
+}
+
+function childScenes(group) {
+  return elemFindall(group, "scene").map(elem => scene(elem))
+}
+
+function groupName(group) {
+  return group?.attributes?.name
+}
+
+function groupDepth(group) {
+  const depths = elemFindall(group, "group").map(g => groupDepth(g) + 1)
+  return Math.max(0, ...depths)
+}
+
+function part(group) {
+  const chapters = []
+  var scenes = []
+
+  for(const elem of childElems(group)) {
+    switch(elem.name) {
+      case "scene": scenes.push(scene(elem)); break;
+      case "group": {
+        if(scenes.length) chapters.push(chapter(group, scenes))
+        scenes = []
+        chapters.push(chapter(elem, childScenes(elem)))
+        break;
+      }
+      default: break;
+    }
+  }
+  if(scenes.length) chapters.push(chapter(group, scenes))
+  return chapters
+}
+
+function flatten(group, path) {
+  return childElems(group).map(elem => {
+    switch(elem.name) {
+      case "scene": return [scene(elem, path)]
+      case "group": return flatten(elem, [...path, groupName(elem) ?? ""])
+      default: return []
+    }
+  }).flat()
+}
+
+function chapter(group, scenes) {
+  const name = groupName(group)
+  const folded = group?.attributes?.folded
+  return element("chapter", {
+    ...(name ? {name} : {}),
+    ...(folded === "true" ? {folded} : {})
+  }, scenes)
+}
+
+//-----------------------------------------------------------------------------
+// Scenes
+//-----------------------------------------------------------------------------
+
+function scene(elem, path = []) {
+  const {name, folded} = elem.attributes ?? {}
+  const fullname = [...path, name ?? ""].filter(s => s).join(" / ")
+
+  const children = childElems(elem)
+  const paragraphs = children.filter(e => e.name === "p")
+
+  return element("scene", {
+    ...(fullname ? {name: fullname} : {}),
+    ...(folded === "true" ? {folded} : {}),
+  }, [
+    ...textBlock(elemFind(elem, "synopsis"), "synopsis"),
+    ...textBlock(elemFind(elem, "sketch"), "comment"),
+    ...textBlock(elemFind(elem, "content"), "p"),
+    ...paragraphs,
+  ])
+}
+
+//-----------------------------------------------------------------------------
+// Text blocks either have paragraphs, or they are plain text, one paragraph
+// per line.
+//-----------------------------------------------------------------------------
+
+function textBlock(block, type) {
+  if(!block) return []
+
+  const paragraphs = elemFindall(block, "p")
+  if(paragraphs.length) return paragraphs.map(p => ({...p, name: type}))
+
+  return (block.elements ?? [])
+    .filter(e => e.type === "text" || e.type === "cdata")
+    .map(e => e.text ?? e.cdata)
+    .join("")
+    .split("\n")
+    .map(line => line.trim())
+    .filter(line => line)
+    .map(line => element(type, {}, [text(line)]))
+}
+
+//-----------------------------------------------------------------------------
+
+function element(name, attributes, elements) {
+  return {type: "element", name, attributes, elements: elements.length ? elements : undefined}
+}
+
+function text(text) {
+  return {type: "text", text}
+}
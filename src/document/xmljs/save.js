@@ -11,13 +11,25 @@ import { saveChartSettings } from "../../gui/arc/arc";
 import { saveEditorSettings } from "../../gui/editor/editor";
 import {saveExportSettings} from "../../gui/export/export";
 import {uuid as getUUID, buf2file, elemName, filterCtrlElems, elemUnnumbered} from "../util";
+import {vctlCommit} from "../verctl";
+import {Inform} from "../../gui/common/factory";
 
 //----------------------------------------------------------------------------
 
-export async function savemawe(doc) {
+// Story file is written first. Storing the revision to archive may fail
+// without failing the save.
+
+export async function savemawe(doc, options) {
   //throw new Error("Save disabled.")
   const buffer = toXML(doc)
-  return await buf2file(doc, buffer)
+  const file = await buf2file(doc, buffer, options)
+
+  try {
+    await vctlCommit(doc, buffer)
+  } catch(err) {
+    Inform.error(`Revision not stored: ${err}`)
+  }
+  return file
 }
 
 //*****************************************************************************
@@ -49,6 +61,7 @@ export function toXML(doc) {
     ),
     toHead(doc.head),
     toExport(doc.exports),
+    toSpelling(doc.spelling),
     xmlComment(
       "===============================================================================",
     ),
@@ -64,6 +77,8 @@ export function toXML(doc) {
     xmlComment(
       "===============================================================================",
     ),
+    toAnnotations(doc),
+    ...toVersions(doc.versions),
     toUI(doc.ui),
     toHistory(doc),
   )
@@ -82,6 +97,9 @@ function toHead(head) {
     optional("subtitle", head.subtitle),
     optional("author", head.author),
     optional("pseudonym", head.pseudonym),
+    optional("lang", head.lang),
+    optional("address", head.address),
+    optional("email", head.email),
     //optional("translated", head.translated),
     //optional("status", head.status),
     //optional("deadline", head.deadline),
@@ -99,6 +117,15 @@ function toExport(exports) {
   return xmlTree(saveExportSettings(exports))
 }
 
+function toSpelling(spelling) {
+  if(!spelling?.ignore.length) return ""
+
+  return xmlLines(
+    {type: "spelling"},
+    ...spelling.ignore.map(word => xmlElem({type: "ignore"}, toText(word)))
+  )
+}
+
 //*****************************************************************************
 //
 // Sections
@@ -107,10 +134,10 @@ function toExport(exports) {
 
 
 function toBody(body) {
-  const {chapters} = body;
+  const {name, chapters} = body;
 
   return xmlLines(
-    {type: "body"},
+    {type: "body", attributes: {name}},
     ...chapters.map(toChapter),
   )
 }
@@ -124,6 +151,66 @@ function toNotes(notes) {
   )
 }
 
+//-----------------------------------------------------------------------------
+// Annotations: only the ones still attached to some text are saved
+//-----------------------------------------------------------------------------
+
+function annotationIDs(elems, ids = new Set()) {
+  for(const elem of elems) {
+    if(elem.annotation) ids.add(elem.annotation)
+    if(elem.children) annotationIDs(elem.children, ids)
+  }
+  return ids
+}
+
+function toAnnotations(doc) {
+  const ids = annotationIDs([
+    ...doc.body.chapters,
+    ...doc.notes.chapters,
+    ...(doc.versions ?? []).flatMap(version => version.chapters),
+  ])
+  const annotations = (doc.annotations ?? []).filter(({id}) => ids.has(id))
+
+  if(!annotations.length) return ""
+
+  return xmlLines(
+    {type: "annotations"},
+    ...annotations.map(({id, created, text}) => xmlElem(
+      {type: "annotation", attributes: {id, created}},
+      toText(text)
+    ))
+  )
+}
+
+//-----------------------------------------------------------------------------
+// Versions: each version carries its own head
+//-----------------------------------------------------------------------------
+
+function toVersions(versions) {
+  if(!versions?.length) return []
+
+  return [
+    xmlComment(
+      "===============================================================================",
+      "",
+      "VERSIONS",
+      "",
+      "===============================================================================",
+    ),
+    ...versions.map(toVersion),
+  ]
+}
+
+function toVersion(version) {
+  const {name, created, head, chapters} = version;
+
+  return xmlLines(
+    {type: "version", attributes: {name, created}},
+    toHead(head),
+    ...chapters.map(toChapter),
+  )
+}
+
 //-----------------------------------------------------------------------------
 // Chapters
 //-----------------------------------------------------------------------------
@@ -192,10 +279,28 @@ function isItalic(elem, text) {
   return text
 }
 
+// Suggested changes: <ins> and <del> with author and date
+
+function isRevision(elem, text) {
+  const {revision, author, date} = elem
+  if(revision === "ins" || revision === "del") {
+    return xmlElem({type: revision, attributes: {author, date}}, text)
+  }
+  return text
+}
+
+function isAnnotated(elem, text) {
+  const {annotation} = elem
+  if(annotation) {
+    return xmlElem({type: "ann", attributes: {id: annotation}}, text)
+  }
+  return text
+}
+
 function toMarks(elem) {
   const {text} = elem;
 
-  return isBold(elem, isItalic(elem, toText(text)))
+  return isAnnotated(elem, isRevision(elem, isBold(elem, isItalic(elem, toText(text)))))
 }
 
 //*****************************************************************************
@@ -12,7 +12,7 @@ import "./app.css"
 
 import React, {
   useEffect, useState, useReducer, useCallback,
-  useMemo, useContext,
+  useMemo, useContext, useRef,
 } from "react"
 
 import { ThemeProvider } from '@mui/material/styles';
@@ -25,6 +25,7 @@ import {
   Label,
   Separator, Loading, addClass,
   Menu, MenuItem, MenuList, ListSubheader,
+  TextField,
   Inform,
   ListItemText,
   Typography,
@@ -53,6 +54,13 @@ import {
 } from "./settings"
 
 import { ViewSelectButtons, ViewSwitch } from "./views";
+import { VersionMenu } from "./versions";
+import {
+  RecoveryDialog, autosaveChoices,
+  recoverySave, recoveryLoad, recoveryClear, recoveryRestore,
+  isContentChanged,
+} from "./recovery";
+import { FileChangedDialog, mergeFromDisk } from "./conflict";
 import {useImmer} from "use-immer"
 
 import { mawe } from "../../document"
@@ -76,14 +84,26 @@ export default function App(props) {
   ]));
 
   const [recent, setRecent] = useSetting("recent", [])
+  const [autosave, setAutosave] = useSetting("autosave", 60, true)
+  const [backups, setBackups] = useSetting("backups", 1, true)
+  const [reviewer, setReviewer] = useSetting("reviewer", "")
 
   const settings = useMemo(() => ({
     recent, setRecent,
-  }), [recent, setRecent])
+    autosave, setAutosave,
+    backups, setBackups,
+    reviewer, setReviewer,
+  }), [recent, setRecent, autosave, setAutosave, backups, setBackups, reviewer, setReviewer])
 
   const [doc, updateDoc] = useImmer(null)
   const [command, setCommand] = useState()
 
+  // Autosaved doc waiting for user to decide
+  const [recovery, setRecovery] = useState()
+
+  // File modified on disk, waiting for user to decide
+  const [changed, setChanged] = useState()
+
   // File to import
   const [buffer, setBuffer] = useState()
 
@@ -102,6 +122,7 @@ export default function App(props) {
       case "resource": { docFromResource(command); break; }
       case "saveas": { docSaveAs(command); break; }
       case "close": { docClose(command); break; }
+      case "recent": { loadRecent(); break; }
       case "error": { Inform.error(command.message); break; }
     }
   }, [command])
@@ -113,7 +134,11 @@ export default function App(props) {
   useEffect(() => {
     //*
     //console.log("Recent:", recent)
-    if(recent?.length) cmdLoadFile({setCommand, filename: recent[0].id})
+    recoveryLoad()
+    .then(recovery => {
+      if(recovery) setRecovery(recovery)
+      else setCommand({action: "recent"})
+    })
     /*/
     setCommand({
       action: "import",
@@ -123,6 +148,111 @@ export default function App(props) {
     /**/
   }, [])
 
+  function loadRecent() {
+    if(recent?.length) cmdLoadFile({setCommand, filename: recent[0].id})
+  }
+
+  function onRecover() {
+    const content = recoveryRestore(recovery)
+    baseRef.current = undefined
+    savedRef.current = undefined
+    updateDoc(content)
+    setRecovery(undefined)
+    Inform.warning(`Recovered: ${content.file?.name ?? "<Unnamed>"}`)
+  }
+
+  function onDiscard() {
+    recoveryClear().catch(err => Inform.error(err))
+    setRecovery(undefined)
+    loadRecent()
+  }
+
+  //---------------------------------------------------------------------------
+  // Autosave: write doc to recovery file, if its content differs from the
+  // one loaded or saved last time
+  //---------------------------------------------------------------------------
+
+  const docRef = useRef()
+  const savedRef = useRef()
+  const autosavedRef = useRef()
+  docRef.current = doc
+
+  function setSaved(doc) {
+    savedRef.current = doc
+    autosavedRef.current = undefined
+    recoveryClear().catch(err => console.log("Recovery:", err))
+  }
+
+  useEffect(() => {
+    if(!autosave) return
+    const timer = setInterval(() => {
+      const doc = docRef.current
+      if(!doc || !isContentChanged(doc, savedRef.current)) return
+      if(!isContentChanged(doc, autosavedRef.current)) return
+      autosavedRef.current = doc
+      recoverySave(doc).catch(err => console.log("Autosave:", err))
+    }, autosave * 1000)
+    return () => clearInterval(timer)
+  }, [autosave])
+
+  //---------------------------------------------------------------------------
+  // Watch file modifications made by other programs. Base holds the content
+  // as it was loaded or saved, it is used for merging the changes.
+  //
+  // Change notification of our own save may come before the save has
+  // finished, so ongoing save is waited, and the time is compared to the
+  // one we saved last.
+  //---------------------------------------------------------------------------
+
+  const baseRef = useRef()
+  const savingRef = useRef()
+  const modifiedRef = useRef()
+  const fileid = doc?.file?.id
+
+  useEffect(() => {
+    if(!fileid) return
+
+    fs.watch(fileid).catch(err => console.log("Watch:", err))
+    const unsubscribe = fs.onchange(({id, modified}) => {
+      Promise.resolve(savingRef.current).then(() => {
+        const file = docRef.current?.file
+        if(id !== file?.id || modified === file?.modified || modified === modifiedRef.current) return
+        setChanged({id, modified})
+      })
+    })
+
+    return () => {
+      unsubscribe()
+      fs.unwatch(fileid).catch(err => console.log("Unwatch:", err))
+      setChanged(undefined)
+    }
+  }, [fileid])
+
+  function setBase({body, notes}) {
+    baseRef.current = {body, notes}
+  }
+
+  function onReload() {
+    setChanged(undefined)
+    cmdLoadFile({setCommand, filename: doc.file.id})
+  }
+
+  function onKeep() {
+    updateDoc(doc => { doc.file.modified = changed.modified })
+    setChanged(undefined)
+  }
+
+  function onMerge() {
+    setChanged(undefined)
+    mergeFromDisk(doc, baseRef.current)
+    .then(({merged, theirs}) => {
+      updateDoc(merged)
+      setBase(theirs)
+      Inform.success(`Merged: ${merged.file.name}`)
+    })
+    .catch(err => Inform.error(err))
+  }
+
   //---------------------------------------------------------------------------
   // Render
   //---------------------------------------------------------------------------
@@ -132,6 +262,8 @@ export default function App(props) {
       <SettingsContext.Provider value={settings}>
         <CmdContext.Provider value={setCommand}>
           <View key={doc?.key} doc={doc} updateDoc={updateDoc} buffer={buffer} setBuffer={setBuffer}/>
+          <RecoveryDialog recovery={recovery} onRecover={onRecover} onDiscard={onDiscard}/>
+          <FileChangedDialog doc={doc} changed={changed} onReload={onReload} onKeep={onKeep} onMerge={onMerge}/>
         </CmdContext.Provider>
       </SettingsContext.Provider>
     </SnackbarProvider>
@@ -143,6 +275,12 @@ export default function App(props) {
     mawe.load(filename)
     .then(content => {
       updateDoc(content)
+      setBase(content)
+      savedRef.current = content.file ? content : undefined
+      if(!content.file) {
+        Inform.warning(`Imported: ${filename}`);
+        return
+      }
       recentAdd(content.file, recent, setRecent)
       Inform.success(`Loaded: ${content.file.name}`);
     })
@@ -161,6 +299,8 @@ export default function App(props) {
   }
 
   function docFromBuffer({buffer}) {
+    baseRef.current = undefined
+    savedRef.current = undefined
     updateDoc(mawe.create(buffer))
   }
 
@@ -185,15 +325,26 @@ export default function App(props) {
   }
 
   function docSave() {
-    mawe.save(insertHistory(doc))
-    .then(file => Inform.success(`Saved ${file.name}`))
+    const saved = insertHistory(doc)
+    savingRef.current = mawe.save(saved, {backups})
+    .then(file => {
+      modifiedRef.current = file.modified
+      updateDoc(doc => { doc.file = file })
+      setBase(saved)
+      setSaved(saved)
+      Inform.success(`Saved ${file.name}`)
+    })
     .catch(err => Inform.error(err))
   }
 
   function docSaveAs({filename}) {
-    mawe.saveas(insertHistory(doc), filename)
+    const saved = insertHistory(doc)
+    savingRef.current = mawe.saveas(saved, filename, {backups})
     .then(file => {
+      modifiedRef.current = file.modified
       updateDoc(doc => { doc.file = file })
+      setBase(saved)
+      setSaved(saved)
       //recentRemove(doc.file, recent, setRecent)
       recentAdd(file, recent, setRecent)
       Inform.success(`Saved ${file.name}`)
@@ -202,6 +353,7 @@ export default function App(props) {
   }
 
   function docClose() {
+    if(doc && !isContentChanged(doc, savedRef.current)) setSaved(undefined)
     updateDoc(null)
   }
 }
@@ -291,6 +443,8 @@ function WithDoc({setCommand, doc, updateDoc, recent}) {
     <ViewSelectButtons selected={doc.ui.view.selected} setSelected={setSelected}/>
     <Separator/>
     <HeadInfo head={head} updateDoc={updateDoc}/>
+    <Separator/>
+    <VersionMenu doc={doc} updateDoc={updateDoc}/>
 
     <Filler />
     <Separator/>
@@ -381,10 +535,40 @@ class HelpButton extends React.PureComponent {
   }
 }
 
-class SettingsButton extends React.PureComponent {
-  render() {
-    return <IconButton tooltip="Settings"><Icon.Settings /></IconButton>
+const backupChoices = [0, 1, 3, 5]
+
+function SettingsButton() {
+  const {autosave, setAutosave, backups, setBackups, reviewer, setReviewer} = useContext(SettingsContext)
+
+  function autosaveText(seconds) {
+    if(!seconds) return "Off"
+    if(seconds < 60) return `${seconds} s`
+    return `${seconds / 60} min`
   }
+
+  return <PopupState variant="popover" popupId="settings-menu">
+    {(popupState) => <React.Fragment>
+      <IconButton tooltip="Settings" {...bindTrigger(popupState)}><Icon.Settings /></IconButton>
+      <Menu {...bindMenu(popupState)}>
+        <ListSubheader>Autosave</ListSubheader>
+        {autosaveChoices.map(seconds => <MenuItem key={seconds} selected={seconds === autosave} onClick={e => { setAutosave(seconds); popupState.close(e); }}>
+          <ListItemText>{autosaveText(seconds)}</ListItemText>
+          </MenuItem>
+        )}
+        <ListSubheader>Backups</ListSubheader>
+        {backupChoices.map(count => <MenuItem key={count} selected={count === backups} onClick={e => { setBackups(count); popupState.close(e); }}>
+          <ListItemText>{count ? `Keep ${count}` : "Off"}</ListItemText>
+          </MenuItem>
+        )}
+        <ListSubheader>Reviewer</ListSubheader>
+        {/* Keys go to the text field, not to menu item selection */}
+        <div style={{padding: "0 16px 8px"}} onKeyDown={e => e.stopPropagation()}>
+          <TextField size="small" placeholder="Name for suggested changes" value={reviewer} onChange={e => setReviewer(e.target.value)}/>
+        </div>
+      </Menu>
+    </React.Fragment>
+    }
+  </PopupState>
 }
 
 class CloseButton extends React.PureComponent {
@@ -0,0 +1,62 @@
+//*****************************************************************************
+//*****************************************************************************
+//
+// File modified on disk while editing
+//
+//*****************************************************************************
+//*****************************************************************************
+
+import React from "react"
+
+import {
+  Button,
+} from "../common/factory";
+
+import {
+  Dialog, DialogTitle, DialogContent, DialogContentText, DialogActions,
+} from "@mui/material";
+
+import { mawe } from "../../document"
+import { mergeSection } from "../../document/merge"
+import { nanoid } from "../../document/util"
+
+//-----------------------------------------------------------------------------
+// Merge disk version to current doc. Base is the content as it was when the
+// file was loaded or saved last time. Disk version is returned with the
+// merged doc, as it is the base for the next merge.
+//-----------------------------------------------------------------------------
+
+export async function mergeFromDisk(doc, base) {
+  const theirs = await mawe.load(doc.file.id)
+
+  const merged = {
+    ...doc,
+    key: nanoid(),
+    file: theirs.file,
+    body: mergeSection(base?.body, doc.body, theirs.body),
+    notes: mergeSection(base?.notes, doc.notes, theirs.notes),
+  }
+  return {merged, theirs}
+}
+
+//-----------------------------------------------------------------------------
+
+export function FileChangedDialog({doc, changed, onReload, onKeep, onMerge}) {
+  if(!changed || !doc) return null
+
+  const modified = new Date(changed.modified).toLocaleString()
+
+  return <Dialog open={true}>
+    <DialogTitle>File modified on disk</DialogTitle>
+    <DialogContent>
+      <DialogContentText>
+        {doc.file?.name} has been modified by another program at {modified}.
+      </DialogContentText>
+    </DialogContent>
+    <DialogActions>
+      <Button color="error" onClick={onReload}>Reload</Button>
+      <Button onClick={onKeep}>Keep mine</Button>
+      <Button variant="contained" color="success" onClick={onMerge}>Merge</Button>
+    </DialogActions>
+  </Dialog>
+}
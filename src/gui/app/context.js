@@ -29,7 +29,7 @@ const filters = [
 ]
 
 const importFilters = [
-  { name: 'Known Files', extensions: ['txt', 'md', "docx"] },
+  { name: 'Known Files', extensions: ['txt', 'md', "docx", "rtf"] },
   { name: 'All Files', extensions: ['*'] }
 ]
 
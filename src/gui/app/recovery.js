@@ -0,0 +1,102 @@
+//*****************************************************************************
+//*****************************************************************************
+//
+// Autosave to crash recovery file
+//
+//*****************************************************************************
+//*****************************************************************************
+
+import React from "react"
+
+import {
+  Button,
+} from "../common/factory";
+
+import {
+  Dialog, DialogTitle, DialogContent, DialogContentText, DialogActions,
+} from "@mui/material";
+
+import { mawe } from "../../document"
+
+const fs = require("../../system/localfs")
+
+//-----------------------------------------------------------------------------
+// Recovery file is stored beside the settings. It holds the story as XML,
+// the file it belongs to, and the time it was written.
+//-----------------------------------------------------------------------------
+
+const recoveryFile = "recovery.json"
+
+export const autosaveChoices = [0, 30, 60, 300]
+
+export async function recoverySave(doc) {
+  return fs.settingswrite(recoveryFile, JSON.stringify({
+    file: doc.file,
+    saved: Date.now(),
+    buffer: mawe.toXML(doc),
+  }))
+}
+
+export async function recoveryClear() {
+  return fs.settingswrite(recoveryFile, JSON.stringify(null))
+}
+
+//-----------------------------------------------------------------------------
+// Story content is compared by identity of its parts: updateDoc keeps the
+// unchanged parts as they are. Changes in UI settings, file info and word
+// count history are not counted.
+//-----------------------------------------------------------------------------
+
+const contentKeys = ["head", "body", "notes", "versions", "annotations", "spelling", "exports"]
+
+export function isContentChanged(doc, saved) {
+  if(!saved) return true
+  return contentKeys.some(key => doc[key] !== saved[key])
+}
+
+//-----------------------------------------------------------------------------
+// Return recovery, if it is newer than the file on disk.
+//-----------------------------------------------------------------------------
+
+export async function recoveryLoad() {
+  const recovery = await fs.settingsread(recoveryFile)
+    .then(content => JSON.parse(content))
+    .catch(err => undefined)
+
+  if(!recovery?.buffer) return undefined
+  if(!recovery.file) return recovery
+
+  const file = await fs.fstat(recovery.file.id).catch(err => undefined)
+
+  if(file && file.modified >= recovery.saved) return undefined
+  return recovery
+}
+
+export function recoveryRestore(recovery) {
+  return {
+    ...mawe.create(recovery.buffer),
+    file: recovery.file,
+  }
+}
+
+//-----------------------------------------------------------------------------
+
+export function RecoveryDialog({recovery, onRecover, onDiscard}) {
+  if(!recovery) return null
+
+  const name = recovery.file?.name ?? "<Unnamed>"
+  const saved = new Date(recovery.saved).toLocaleString()
+
+  return <Dialog open={true}>
+    <DialogTitle>Recover unsaved changes?</DialogTitle>
+    <DialogContent>
+      <DialogContentText>
+        Autosaved copy of {name} from {saved} is newer than the file on disk.
+      </DialogContentText>
+    </DialogContent>
+    <DialogActions>
+      <Button color="error" onClick={onDiscard}>Discard</Button>
+      <Button variant="contained" color="success" onClick={onRecover}>Recover</Button>
+    </DialogActions>
+  </Dialog>
+}
@@ -17,7 +17,10 @@ export const SettingsContext = createContext(null)
 //
 //*****************************************************************************
 
-export function useSetting(key, defaultValue) {
+// Falsy value removes the item, so that default is used next time. With
+// keepFalsy, falsy values (e.g. 0 for "off") are stored, too.
+
+export function useSetting(key, defaultValue, keepFalsy = false) {
   const [value, setValue] = useState(() => {
     if(!key) return defaultValue
     const value = window.localStorage.getItem(key);
@@ -27,13 +30,13 @@ export function useSetting(key, defaultValue) {
 
   useEffect(() => {
     if(key) {
-      if(value) {
+      if(value || (keepFalsy && value !== undefined && value !== null)) {
         window.localStorage.setItem(key, JSON.stringify(value));
       } else {
         window.localStorage.removeItem(key)
       }
     }
-  }, [key, value]);
+  }, [key, value, keepFalsy]);
 
   //console.log("Setting:", key, "=", value)
   return [value, setValue];
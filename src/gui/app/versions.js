@@ -0,0 +1,78 @@
+//*****************************************************************************
+//*****************************************************************************
+//
+// Story version selection
+//
+//*****************************************************************************
+//*****************************************************************************
+
+import React, {
+  useState,
+} from "react"
+
+import {
+  Button,
+  Menu, MenuItem, ListItemText, ListSubheader, Typography,
+  TextField,
+  Separator,
+  Inform,
+} from "../common/factory";
+
+import PopupState, { bindTrigger, bindMenu } from 'material-ui-popup-state';
+
+import {snapshotVersion, switchVersion, newEmptyDraft} from "../../document/version";
+
+//-----------------------------------------------------------------------------
+
+export function VersionMenu({doc, updateDoc}) {
+  const [name, setName] = useState("")
+  const {body, versions} = doc
+
+  function onSnapshot() {
+    updateDoc(doc => snapshotVersion(doc, name))
+    Inform.success("Snapshot taken")
+    setName("")
+  }
+
+  function onSwitch(version) {
+    updateDoc(doc => switchVersion(doc, version.id))
+    Inform.success(`Switched to: ${version.name}`)
+  }
+
+  function onNewDraft() {
+    updateDoc(doc => newEmptyDraft(doc, name))
+    setName("")
+  }
+
+  return <PopupState variant="popover" popupId="version-menu">
+    {(popupState) => <React.Fragment>
+      <Button tooltip="Story versions" {...bindTrigger(popupState)}>{body.name ?? "Draft"}</Button>
+      <Menu {...bindMenu(popupState)}>
+        <TextField
+          size="small"
+          label="Version name"
+          value={name}
+          style={{margin: "4px 16px", minWidth: "250px"}}
+          onChange={e => setName(e.target.value)}
+          onKeyDown={e => e.stopPropagation()}
+        />
+        <MenuItem onClick={e => { onSnapshot(); popupState.close(e); }}>
+          <ListItemText>Snapshot current draft</ListItemText>
+          </MenuItem>
+        <MenuItem onClick={e => { onNewDraft(); popupState.close(e); }}>
+          <ListItemText>New empty draft</ListItemText>
+          </MenuItem>
+        {versions.length ? <Separator/> : null}
+        {versions.length ? <ListSubheader>Switch to version</ListSubheader> : null}
+        {versions.map(version => <MenuItem key={version.id} onClick={e => { onSwitch(version); popupState.close(e); }}>
+          <ListItemText>{version.name}</ListItemText>
+          <Typography sx={{ color: 'text.secondary', marginLeft: "1em" }}>
+            {version.created ?? ""} {version.words?.text ?? 0} words
+          </Typography>
+          </MenuItem>
+        )}
+      </Menu>
+    </React.Fragment>
+    }
+  </PopupState>
+}
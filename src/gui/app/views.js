@@ -19,6 +19,7 @@ import { StoryArc } from "../arc/arc"
 import { Stats } from "../stats/stats"
 import { Export } from "../export/export"
 import {ImportView} from "../import/import";
+import { Revisions } from "../revisions/revisions"
 
 //*****************************************************************************
 //
@@ -63,7 +64,7 @@ export class ViewSelectButtons extends React.PureComponent {
     />
   }
 
-  choices = ["editor", "chart", "stats", "export"]
+  choices = ["editor", "chart", "stats", "export", "revisions"]
 
   viewbuttons = {
     "editor": { tooltip: "Editor", icon: <Icon.View.Edit /> },
@@ -71,6 +72,7 @@ export class ViewSelectButtons extends React.PureComponent {
     "chart": { tooltip: "Story Arc", icon: <Icon.View.Chart /> },
     "stats": { tooltip: "Statistics", icon: <Icon.View.Stats /> },
     "export": { tooltip: "Export", icon: <Icon.View.Export /> },
+    "revisions": { tooltip: "Revisions", icon: <Icon.View.History /> },
   }
 }
 
@@ -86,6 +88,7 @@ export function ViewSwitch({doc, updateDoc}) {
     case "stats": return <Stats {...props} />
     case "chart": return <StoryArc {...props} />
     case "export": return <Export {...props} />
+    case "revisions": return <Revisions {...props} />
     default: break;
   }
   return null;
@@ -13,7 +13,7 @@ import {
   VBox,
   Button, Icon, IconButton,
   MakeToggleGroup,
-  TextField,
+  TextField, MenuItem,
   Label,
   Accordion, AccordionSummary, AccordionDetails,
 } from "../common/factory";
@@ -23,7 +23,7 @@ import PopupState, { bindTrigger, bindMenu } from 'material-ui-popup-state';
 import { mawe } from "../../document"
 import {cmdOpenFolder} from '../app/context';
 import {Popover} from '@mui/material';
-import {getHeader} from '../../document/head';
+import {getHeader, languages} from '../../document/head';
 
 //-----------------------------------------------------------------------------
 // Head info editing box
@@ -34,6 +34,9 @@ export function updateDocTitle(updateDoc, value) { updateDoc(doc => {doc.head.ti
 export function updateDocSubtitle(updateDoc, value) { updateDoc(doc => {doc.head.subtitle = value})}
 export function updateDocAuthor(updateDoc, value) { updateDoc(doc => {doc.head.author = value})}
 export function updateDocPseudonym(updateDoc, value) { updateDoc(doc => {doc.head.pseudonym = value})}
+export function updateDocLang(updateDoc, value) { updateDoc(doc => {doc.head.lang = value})}
+export function updateDocAddress(updateDoc, value) { updateDoc(doc => {doc.head.address = value})}
+export function updateDocEmail(updateDoc, value) { updateDoc(doc => {doc.head.email = value})}
 
 export class EditHead extends React.PureComponent {
   render() {
@@ -47,6 +50,9 @@ export class EditHead extends React.PureComponent {
       <TextField label="Name" value={head.name ?? ""} onChange={e => updateDocName(updateDoc, e.target.value)}/>
       <TextField label="Title" value={head.title ?? ""} onChange={e => updateDocTitle(updateDoc, e.target.value)}/>
       <TextField label="Subtitle" value={head.subtitle ?? ""} onChange={e => updateDocSubtitle(updateDoc, e.target.value)}/>
+      <TextField select label="Language" value={head.lang ?? "fi"} onChange={e => updateDocLang(updateDoc, e.target.value)}>
+        {Object.values(languages).map(lang => <MenuItem key={lang.code} value={lang.code}>{lang.name}</MenuItem>)}
+      </TextField>
       </VBox></AccordionDetails>
       </Accordion>
 
@@ -55,6 +61,8 @@ export class EditHead extends React.PureComponent {
       <AccordionDetails><VBox>
       <TextField label="Author" value={head.author ?? ""} onChange={e => updateDocAuthor(updateDoc, e.target.value)}/>
       <TextField label="Pseudonym" value={head.pseudonym ?? ""} onChange={e => updateDocPseudonym(updateDoc, e.target.value)}/>
+      <TextField label="Contact Address" multiline minRows={2} value={head.address ?? ""} onChange={e => updateDocAddress(updateDoc, e.target.value)}/>
+      <TextField label="Email" value={head.email ?? ""} onChange={e => updateDocEmail(updateDoc, e.target.value)}/>
       </VBox></AccordionDetails>
       </Accordion>
     </>
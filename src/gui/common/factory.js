@@ -29,9 +29,10 @@ import {
   Tooltip as MuiTooltip, tooltipClasses,
   Divider, CircularProgress as Spinner,
   Typography,
-  List, ListItem, ListItemText, ListSubheader, ListItemIcon,
+  List, ListItem, ListItemButton, ListItemText, ListSubheader, ListItemIcon,
   Menu, MenuItem, MenuList,
   Select, InputLabel, FormControl,
+  Checkbox, FormControlLabel,
   Accordion, AccordionSummary, AccordionDetails,
 } from "@mui/material"
 
@@ -46,8 +47,9 @@ export {
   Spinner,
   Chip, Link,
   TextField,
-  List, ListItem, ListItemText, ListSubheader, ListItemIcon, Typography,
+  List, ListItem, ListItemButton, ListItemText, ListSubheader, ListItemIcon, Typography,
   Menu, MenuItem, MenuList,
+  Checkbox, FormControlLabel,
   Accordion, AccordionSummary, AccordionDetails,
 }
 
@@ -23,6 +23,7 @@ export const IsKey = {
   CtrlB: isHotkey("Mod+B"),
   CtrlF: isHotkey("Mod+F"),
   CtrlG: isHotkey("Mod+G"),
+  CtrlH: isHotkey("Mod+H"),
   CtrlI: isHotkey("Ctrl+I"),
   CtrlO: isHotkey("Mod+O"),
   CtrlN: isHotkey("Mod+N"),
@@ -47,6 +48,7 @@ export const IsKey = {
   CtrlAltC: isHotkey("Mod+Alt+C"),
   CtrlAltF: isHotkey("Mod+Alt+F"),
   CtrlAltM: isHotkey("Mod+Alt+M"),
+  CtrlAltN: isHotkey("Mod+Alt+N"),
   CtrlAltS: isHotkey("Mod+Alt+S"),
   //CtrlAltT: isHotkey("Mod+Alt+T"), // Opens terminal
 
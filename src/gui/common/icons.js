@@ -43,6 +43,15 @@ import {
   SettingsOutlined,
 
   Search,
+  FindReplace,
+  RateReviewOutlined,
+  AddCommentOutlined,
+  TrackChanges,
+  FactCheckOutlined,
+  VerticalSplitOutlined,
+  Done,
+  DoneAll,
+  RemoveDone,
   SwapHorizontalCircleOutlined,
   FolderOutlined,
   NoteAddOutlined,
@@ -87,6 +96,8 @@ import {
   RadioButtonUnchecked,
   RadioButtonChecked,
 
+  History,
+
 } from '@mui/icons-material';
 import {Collapse} from '@mui/material';
 
@@ -119,6 +130,11 @@ export const Icon = {
     Chart: DonutLarge,
     Stats: BarChartOutlined,
     Tags: AlternateEmail,
+    History: History,
+    Replace: FindReplace,
+    Annotations: RateReviewOutlined,
+    Changes: FactCheckOutlined,
+    Split: VerticalSplitOutlined,
   },
 
   //NewFile: NoteAddOutlined,
@@ -152,6 +168,10 @@ export const Icon = {
       Bottom: VerticalAlignBottom,
     },
     HeadInfo: DescriptionOutlined,
+    Annotate: AddCommentOutlined,
+    Accept: Done,
+    AcceptAll: DoneAll,
+    RejectAll: RemoveDone,
   },
 
   Location: {
@@ -204,6 +224,8 @@ export const Icon = {
     Filler: AddBox,
     Tags: AlternateEmail,
 
+    Suggest: TrackChanges,
+
     Folded: VisibilityOff,
     FoldAll: IndeterminateCheckBoxOutlined,
     UnfoldAll: AddBoxOutlined,
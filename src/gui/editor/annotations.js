@@ -0,0 +1,174 @@
+//*****************************************************************************
+//*****************************************************************************
+//
+// Annotations: comments attached to words and phrases
+//
+//*****************************************************************************
+//*****************************************************************************
+
+import React, {
+  useState, useEffect,
+  useMemo, useCallback,
+} from 'react';
+
+import {
+  VBox, HBox, Filler,
+  ToolBox, IconButton, Icon,
+  TextField,
+  Label,
+  Inform,
+  addClass,
+} from "../common/factory";
+
+import { nanoid } from "../../document/util";
+
+import {
+  findAnnotations, addAnnotation, removeAnnotation,
+  scrollToRange,
+} from "./slateHelpers"
+
+//-----------------------------------------------------------------------------
+// Annotation texts are stored in doc.annotations, and the annotated text is
+// marked with the annotation id:
+//
+//    doc.annotations = [{id, created, text}, ...]
+//    leaf = {text, annotation: id}
+//-----------------------------------------------------------------------------
+
+export function createAnnotation(editor, updateDoc) {
+  const id = nanoid()
+
+  if(!addAnnotation(editor, id)) {
+    Inform.warning("Select text to annotate.")
+    return false
+  }
+
+  updateDoc(doc => {
+    if(!doc.annotations) doc.annotations = []
+    doc.annotations.push({
+      id,
+      created: new Date().toISOString().split(".")[0] + "Z",
+      text: "",
+    })
+    doc.ui.editor.right.selected = "annotations"
+  })
+  return true
+}
+
+//-----------------------------------------------------------------------------
+// Margin panel listing the annotations of body and notes
+//-----------------------------------------------------------------------------
+
+export function Annotations({settings}) {
+  const {doc, updateDoc, setActive, track} = settings
+  const {active, pane} = doc.ui.editor
+
+  const editors = useMemo(() => ({
+    "body": settings.body.editor,
+    "notes": settings.notes.editor,
+  }), [settings.body.editor, settings.notes.editor])
+
+  const [pending, setPending] = useState()
+
+  // Editors are mutable, so content changes are followed through doc
+  const annotated = useMemo(() => Object.entries(editors).flatMap(
+    ([sectID, editor]) => findAnnotations(editor).map(annotation => ({sectID, ...annotation}))
+  ), [editors, doc.body.chapters, doc.notes.chapters]) // eslint-disable-line react-hooks/exhaustive-deps
+
+  const texts = useMemo(() => Object.fromEntries(
+    (doc.annotations ?? []).map(({id, text}) => [id, text])
+  ), [doc.annotations])
+
+  //---------------------------------------------------------------------------
+
+  const onAdd = useCallback(() => createAnnotation(editors[active], updateDoc), [editors, active, updateDoc])
+
+  const setText = useCallback((id, text) => updateDoc(doc => {
+    const annotation = doc.annotations?.find(annotation => annotation.id === id)
+    if(annotation) annotation.text = text
+  }), [updateDoc])
+
+  const onRemove = useCallback(({sectID, id}) => {
+    removeAnnotation(editors[sectID], id)
+    updateDoc(doc => {
+      doc.annotations = (doc.annotations ?? []).filter(annotation => annotation.id !== id)
+    })
+  }, [editors, updateDoc])
+
+  // Showing annotation may need switching the editor first
+
+  useEffect(() => {
+    if(pending === undefined) return
+    const annotation = annotated.find(({id}) => id === pending)
+    if(!annotation) {
+      setPending(undefined)
+      return
+    }
+    if(annotation.sectID !== active || pane !== "main") {
+      setActive(annotation.sectID, undefined, "main")
+      return
+    }
+    setPending(undefined)
+    scrollToRange(editors[annotation.sectID], {anchor: annotation.anchor, focus: annotation.focus}, true)
+  }, [pending, annotated, active, pane, setActive, editors])
+
+  //---------------------------------------------------------------------------
+
+  const current = track.marks?.annotation
+
+  return <VBox style={{overflow: "auto"}}>
+    <ToolBox style={{background: "white"}}>
+      <Label text={`Annotations: ${annotated.length}`}/>
+      <Filler/>
+      <IconButton tooltip="Annotate selected text (Ctrl-Alt-N)" onClick={onAdd}><Icon.Action.Annotate/></IconButton>
+    </ToolBox>
+    <div className="VBox TOC">
+      {annotated.map(annotation => <AnnotationEntry
+        key={annotation.id}
+        annotation={annotation}
+        text={texts[annotation.id] ?? ""}
+        current={annotation.id === current}
+        onSelect={setPending}
+        setText={setText}
+        onRemove={onRemove}
+      />)}
+    </div>
+  </VBox>
+}
+
+//-----------------------------------------------------------------------------
+// Annotated text and the annotation. New (empty) annotation gets the focus.
+
+const quoted = 80
+
+class AnnotationEntry extends React.PureComponent {
+  render() {
+    const {annotation, text, current, onSelect, setText, onRemove} = this.props
+    const {id, sectID} = annotation
+
+    const quote = annotation.text.length > quoted
+      ? annotation.text.slice(0, quoted) + "…"
+      : annotation.text
+
+    return <VBox className={addClass("Annotation", current && "Current")}>
+      <HBox className="Entry" onClick={e => onSelect(id)}>
+        <span className="Name">
+          {sectID === "notes" ? <em>Notes: </em> : null}
+          <span className="annotation">{quote}</span>
+        </span>
+        <Filler/>
+        <IconButton size="small" tooltip="Remove annotation" onClick={e => { e.stopPropagation(); onRemove(annotation) }}>
+          <Icon.Close fontSize="small"/>
+        </IconButton>
+      </HBox>
+      <TextField
+        multiline
+        size="small"
+        placeholder="Annotation"
+        autoFocus={current && !text}
+        value={text}
+        onChange={e => setText(id, e.target.value)}
+      />
+    </VBox>
+  }
+}
@@ -44,6 +44,9 @@ import {
 import {DocIndex} from "../common/docIndex"
 import {WordTable} from "./wordTable"
 import {TagTable} from "./tagTable"
+import {FindReplace} from "./findReplace"
+import {Annotations, createAnnotation} from "./annotations"
+import {Revisions} from "./revisions"
 
 import {
   FlexBox, VBox, HBox, Filler, VFiller, HFiller,
@@ -51,6 +54,7 @@ import {
   ToggleButton, ToggleButtonGroup, MakeToggleGroup,
   Input,
   SearchBox,
+  TextField, MenuItem, ListSubheader,
   IsKey, addHotkeys,
   Separator, Loading, addClass,
 } from "../common/factory";
@@ -60,8 +64,14 @@ import {
 } from "../common/components";
 
 import { wcElem } from "../../document/util";
+import { getLanguage } from "../../document/head";
+import { spellSetLanguage, spellSetWords, onSpellIgnore } from "../../system/host";
 import { elemFind } from "../../document/xmljs/tree";
-import {elemIsBlock} from "./slateHelpers";
+import { SettingsContext } from "../app/settings";
+import {
+  elemIsBlock,
+  linkEditors, unlinkEditors, replayOperations,
+} from "./slateHelpers";
 
 //*****************************************************************************
 //
@@ -85,6 +95,9 @@ export function loadEditorSettings(settings) {
   return {
     active: "body",
     focusTo: {id: undefined},
+    pane: "main",
+    split: {sectID: undefined, version: undefined},
+    suggest: false,
     body: {
       indexed: ["chapter", "scene", "synopsis"],
       words: "numbers",
@@ -129,16 +142,26 @@ export function saveEditorSettings(settings) {
 
 //-----------------------------------------------------------------------------
 
+// Focusing: pane is either "main" (body or notes) or "split". If pane is not
+// given, the section is focused in the split pane, if it is shown there and
+// the main pane is not showing it or does not have focus.
+
 export function getFocusTo(doc) { return doc.ui.editor.focusTo.id; }
-export function setFocusTo(updateDoc, sectID, elemID) {
+export function setFocusTo(updateDoc, sectID, elemID, pane) {
   updateDoc(doc => {
     doc.ui.view.selected  = "editor"
     doc.ui.editor.focusTo = {id: elemID}
-    doc.ui.editor.active = sectID
-    console.log("setFocusTo:", sectID, elemID)
+    doc.ui.editor.pane = pane ?? choosePane(doc.ui.editor, sectID)
+    if(doc.ui.editor.pane === "main") doc.ui.editor.active = sectID
+    console.log("setFocusTo:", sectID, elemID, doc.ui.editor.pane)
   })
 }
 
+function choosePane({active, pane, split}, sectID) {
+  if(split.sectID !== sectID) return "main"
+  return (pane === "split" || active !== sectID) ? "split" : "main"
+}
+
 //*****************************************************************************
 //
 // Editor view
@@ -174,7 +197,13 @@ export function SingleEditView({doc, updateDoc}) {
     node: undefined,
   })
 
-  const trackMarks = useCallback((editor) => {
+  const [splitTrack, setSplitTrack] = useState({
+    marks: {},
+    block: {},
+    node: undefined,
+  })
+
+  const trackMarks = useCallback((editor, setTrack) => {
     try {
       const marks = Editor.marks(editor)
       const [node] = Editor.above(editor, {match: n => elemIsBlock(editor, n)})
@@ -186,7 +215,7 @@ export function SingleEditView({doc, updateDoc}) {
     } catch(e) {
       //console.log("Track marks error.")
     }
-  }, [setTrack])
+  }, [])
 
   //---------------------------------------------------------------------------
   // sections
@@ -196,8 +225,9 @@ export function SingleEditView({doc, updateDoc}) {
   const noteeditor = useMemo(() => getEditor(), [])
 
   const updateBody = useCallback(buffer => {
-    trackMarks(bodyeditor)
+    trackMarks(bodyeditor, setTrack)
     if(isAstChange(bodyeditor)) {
+      replayOperations(bodyeditor)
       updateDoc(doc => {
         doc.body.chapters = buffer;
         doc.body.words = wcElem({type: "sect", children: buffer})
@@ -206,8 +236,9 @@ export function SingleEditView({doc, updateDoc}) {
   }, [bodyeditor])
 
   const updateNotes = useCallback(buffer => {
-    trackMarks(noteeditor)
+    trackMarks(noteeditor, setTrack)
     if(isAstChange(noteeditor)) {
+      replayOperations(noteeditor)
       updateDoc(doc => {
         doc.notes.chapters = buffer
         doc.notes.words = wcElem({type: "sect", children: buffer})
@@ -215,11 +246,47 @@ export function SingleEditView({doc, updateDoc}) {
     }
   }, [noteeditor])
 
+  //---------------------------------------------------------------------------
+  // Split pane: body, notes or read-only version. Split pane editing body or
+  // notes is linked to the main pane editor, which writes the changes to
+  // doc. Split pane has its own folds, which are not saved.
+  //---------------------------------------------------------------------------
+
+  const {split} = doc.ui.editor
+  const version = split.sectID === "version" ? doc.versions.find(version => version.id === split.version) : undefined
+  const splitID = (split.sectID === "version" && !version) ? undefined : split.sectID
+
+  const spliteditor = useMemo(() => getEditor(), [splitID, split.version]) // eslint-disable-line react-hooks/exhaustive-deps
+
+  const linked = {
+    "body": bodyeditor,
+    "notes": noteeditor,
+  }[splitID]
+
+  const splitBuffer = linked ? linked.children : version?.chapters
+
+  useEffect(() => {
+    if(!linked) return
+    linkEditors(linked, spliteditor)
+    return () => unlinkEditors(linked, spliteditor)
+  }, [linked, spliteditor])
+
+  const updateSplit = useCallback(buffer => {
+    trackMarks(spliteditor, setSplitTrack)
+    if(isAstChange(spliteditor)) replayOperations(spliteditor)
+  }, [spliteditor, trackMarks])
+
+  const setSplit = useCallback((sectID, version) => updateDoc(doc => {
+    doc.ui.editor.split = {sectID, version}
+    if(!sectID) doc.ui.editor.pane = "main"
+  }), [updateDoc])
+
   //---------------------------------------------------------------------------
   // Section selection + focusing
   //---------------------------------------------------------------------------
 
-  const {focusTo, active} = doc.ui.editor
+  const {focusTo, active, pane} = doc.ui.editor
+  const focused = (splitID && pane === "split") ? "split" : "main"
 
   const getSectIDByElemID = useCallback(elemID => {
     if(!elemID) return undefined
@@ -236,18 +303,20 @@ export function SingleEditView({doc, updateDoc}) {
   }, [bodyeditor, noteeditor])
 
   const getActiveEdit = useCallback(() => getEditorBySectID(active), [getEditorBySectID, active])
+  const getSplitEdit = useCallback(() => spliteditor, [spliteditor])
+  const getFocusedEdit = (focused === "split") ? getSplitEdit : getActiveEdit
 
-  const setActive = useCallback((sectID, elemID) => {setFocusTo(updateDoc, sectID, elemID)}, [updateDoc])
+  const setActive = useCallback((sectID, elemID, pane) => {setFocusTo(updateDoc, sectID, elemID, pane)}, [updateDoc])
 
   useEffect(() => {
     const {id} = focusTo
-    const editor = getActiveEdit()
+    const editor = getFocusedEdit()
 
     console.log("Focus to:", id)
     if(id && editor) {
       focusByID(editor, id)
     }
-  }, [focusTo, getActiveEdit])
+  }, [focusTo, getFocusedEdit])
 
   // Initially focus editor
   useEffect(() => {
@@ -255,17 +324,52 @@ export function SingleEditView({doc, updateDoc}) {
   }, [])
 
   //---------------------------------------------------------------------------
-  // Search
+  // Spell checking: story language selects the dictionary, and story words
+  // are added to it. Without dictionary, spell checking is off.
   //---------------------------------------------------------------------------
 
-  const searchBoxRef = useRef(null)
-  const [searchText, _setSearchText] = useState()
-  const highlightText = useDeferredValue(searchText)
+  const [spellcheck, setSpellcheck] = useState(false)
+  const lang = doc.head.lang
+  const ignore = doc.spelling?.ignore
 
-  const setSearchText = useCallback(text => {
-    _setSearchText(text)
-    searchFirst(getActiveEdit(), text)
-  }, [getActiveEdit])
+  useEffect(() => {
+    spellSetLanguage(getLanguage(lang))
+    .then(dictionary => setSpellcheck(!!dictionary))
+    .catch(err => console.log("Spell checker:", err))
+  }, [lang])
+
+  useEffect(() => {
+    spellSetWords(ignore ?? []).catch(err => console.log("Spell checker:", err))
+  }, [ignore])
+
+  useEffect(() => onSpellIgnore(word => updateDoc(doc => {
+    if(!doc.spelling) doc.spelling = {ignore: []}
+    if(!doc.spelling.ignore.includes(word)) doc.spelling.ignore.push(word)
+  })), [updateDoc])
+
+  //---------------------------------------------------------------------------
+  // Suggestion mode: changes are recorded with reviewer name
+  //---------------------------------------------------------------------------
+
+  const {reviewer} = useContext(SettingsContext)
+  const {suggest} = doc.ui.editor
+
+  useEffect(() => {
+    const suggesting = suggest ? {author: reviewer} : undefined
+    bodyeditor.suggesting = suggesting
+    noteeditor.suggesting = suggesting
+    spliteditor.suggesting = suggesting
+  }, [suggest, reviewer, bodyeditor, noteeditor, spliteditor])
+
+  const setSuggest = useCallback(value => updateDoc(doc => {doc.ui.editor.suggest = value}), [updateDoc])
+
+  //---------------------------------------------------------------------------
+  // Search: both panes have their own
+  //---------------------------------------------------------------------------
+
+  const mainSearch = useSearch(getActiveEdit)
+  const splitSearch = useSearch(getSplitEdit)
+  const {searchBoxRef, searchText, highlightText, setSearchText} = mainSearch
 
   //---------------------------------------------------------------------------
   // Render elements: what we want is to get menu items from subcomponents to
@@ -283,7 +387,11 @@ export function SingleEditView({doc, updateDoc}) {
     setActive,
     focusTo,
     setFocusTo,
+    focused,
     track,
+    spellcheck,
+    suggest,
+    setSuggest,
     body: {
       editor: bodyeditor,
       buffer: doc.body.chapters,
@@ -294,15 +402,27 @@ export function SingleEditView({doc, updateDoc}) {
       buffer: doc.notes.chapters,
       onChange: updateNotes,
     },
+    split: {
+      editor: spliteditor,
+      sectID: splitID,
+      buffer: splitBuffer,
+      onChange: updateSplit,
+      track: splitTrack,
+      search: splitSearch,
+      readOnly: splitID === "version",
+    },
+    setSplit,
   }
 
   //---------------------------------------------------------------------------
   // Hotkeys
   //---------------------------------------------------------------------------
 
+  const search = (focused === "split") ? splitSearch : mainSearch
+
   useEffect(() => addHotkeys([
     [IsKey.CtrlF, ev => {
-      const editor = getActiveEdit()
+      const editor = getFocusedEdit()
       const {selection} = editor
       //console.log(selection)
 
@@ -314,22 +434,27 @@ export function SingleEditView({doc, updateDoc}) {
             focus: Range.start(selection),
             anchor: Range.end(selection)
           })
-          setSearchText(text)
+          search.setSearchText(text)
         }
       }
       else {
-        if(typeof(searchText) !== "string") setSearchText("")
+        if(typeof(search.searchText) !== "string") search.setSearchText("")
       }
-      if(searchBoxRef.current) searchBoxRef.current.focus()
+      if(search.searchBoxRef.current) search.searchBoxRef.current.focus()
     }],
     [IsKey.Escape, ev => {
-      if(typeof(searchText) === "string") {
-        _setSearchText(undefined)
-        ReactEditor.focus(getActiveEdit())
+      if(typeof(search.searchText) === "string") {
+        search._setSearchText(undefined)
+        ReactEditor.focus(getFocusedEdit())
       }
     }],
-    [IsKey.CtrlG,  ev => searchForward(getActiveEdit(), searchText, true)],
-    [IsKey.CtrlShiftG, ev => searchBackward(getActiveEdit(), searchText, true)]
+    [IsKey.CtrlH, ev => updateDoc(doc => {doc.ui.editor.right.selected = "replace"})],
+    [IsKey.CtrlAltN, ev => {
+      const editor = getFocusedEdit()
+      if(!ReactEditor.isReadOnly(editor)) createAnnotation(editor, updateDoc)
+    }],
+    [IsKey.CtrlG,  ev => searchForward(getFocusedEdit(), search.searchText, true)],
+    [IsKey.CtrlShiftG, ev => searchBackward(getFocusedEdit(), search.searchText, true)]
   ]));
 
   //---------------------------------------------------------------------------
@@ -364,6 +489,11 @@ export function SingleEditView({doc, updateDoc}) {
       settings={settings}
       mode="Regular"
     />
+    {splitID ? <SplitBox
+      key={`${splitID}:${split.version}`}
+      settings={settings}
+      mode="Regular"
+    /> : null}
     <RightPanel settings={settings} />
     </DragDropContext>
   </HBox>
@@ -530,6 +660,12 @@ function RightPanelContent({settings, selected}) {
         editor={body.editor}
         section={doc.body}
       />
+    case "replace":
+      return <FindReplace settings={settings}/>
+    case "annotations":
+      return <Annotations settings={settings}/>
+    case "changes":
+      return <Revisions settings={settings}/>
     default: break;
   }
 }
@@ -549,9 +685,21 @@ class ChooseRightPanel extends React.PureComponent {
       tooltip: "Tags",
       icon: <Icon.View.Tags />
     },
+    "replace": {
+      tooltip: "Find and replace (Ctrl-H)",
+      icon: <Icon.View.Replace />
+    },
+    "annotations": {
+      tooltip: "Annotations",
+      icon: <Icon.View.Annotations />
+    },
+    "changes": {
+      tooltip: "Suggested changes",
+      icon: <Icon.View.Changes />
+    },
   }
 
-  choices = ["noteindex", "wordtable", "tagtable"]
+  choices = ["noteindex", "wordtable", "tagtable", "replace", "annotations", "changes"]
 
   render() {
     const {selected, setSelected} = this.props
@@ -645,10 +793,26 @@ class Searching extends React.PureComponent {
   }
 }
 
+//-----------------------------------------------------------------------------
+// Search text and highlighting for editor pane
+
+function useSearch(getEditor) {
+  const searchBoxRef = useRef(null)
+  const [searchText, _setSearchText] = useState()
+  const highlightText = useDeferredValue(searchText)
+
+  const setSearchText = useCallback(text => {
+    _setSearchText(text)
+    searchFirst(getEditor(), text)
+  }, [getEditor])
+
+  return {searchBoxRef, searchText, _setSearchText, highlightText, setSearchText}
+}
+
 //-----------------------------------------------------------------------------
 
 function EditorBox({style, settings, mode="Condensed"}) {
-  const {doc, track} = settings
+  const {doc, updateDoc, track, focused} = settings
   const {active} = doc.ui.editor
 
   const editor = {
@@ -657,7 +821,13 @@ function EditorBox({style, settings, mode="Condensed"}) {
   }[active]
 
   const {searchBoxRef, searchText, setSearchText} = settings
-  const {highlightText} = settings
+  const {highlightText, spellcheck} = settings
+  const {suggest, setSuggest} = settings
+  const {split, setSplit} = settings
+
+  const onFocus = useCallback(ev => {
+    if(focused !== "main") setFocusTo(updateDoc, active, undefined, "main")
+  }, [focused, updateDoc, active])
 
   return <VFiller>
     {/* Editor toolbar */}
@@ -665,11 +835,21 @@ function EditorBox({style, settings, mode="Condensed"}) {
     <ToolBox style={doc.ui.editor.toolbox.mid}>
       <EditButtons editor={editor} track={track}/>
       <Separator/>
+      <IconButton selected={suggest} tooltip="Suggest changes (paragraph splits and joins are not tracked)" onClick={e => setSuggest(!suggest)}><Icon.Style.Suggest/></IconButton>
+      <Separator/>
       <Searching editor={editor} searchText={searchText} setSearchText={setSearchText} searchBoxRef={searchBoxRef}/>
       <Separator/>
       <Filler />
       <Separator/>
       <FoldButtons editor={editor} folded={track.block?.folded}/>
+      <Separator/>
+      <IconButton
+        selected={!!split.sectID}
+        tooltip="Split view"
+        onClick={e => split.sectID ? setSplit(undefined) : setSplit(active)}
+      >
+        <Icon.View.Split/>
+      </IconButton>
     </ToolBox>
 
     {/* Editor board and sheet */}
@@ -677,16 +857,77 @@ function EditorBox({style, settings, mode="Condensed"}) {
     <div className="Filler Board" style={{...style}}>
 
       <Slate editor={settings.body.editor} initialValue={settings.body.buffer} onChange={settings.body.onChange}>
-        <SlateEditable className={addClass("Sheet", mode, (active !== "body" && "Hidden"))} highlight={highlightText}/>
+        <SlateEditable className={addClass("Sheet", mode, (active !== "body" && "Hidden"))} highlight={highlightText} spellCheck={spellcheck} onFocus={onFocus}/>
       </Slate>
 
       <Slate editor={settings.notes.editor} initialValue={settings.notes.buffer} onChange={settings.notes.onChange}>
-        <SlateEditable className={addClass("Sheet", mode, (active !== "notes" && "Hidden"))} highlight={highlightText}/>
+        <SlateEditable className={addClass("Sheet", mode, (active !== "notes" && "Hidden"))} highlight={highlightText} spellCheck={spellcheck} onFocus={onFocus}/>
+      </Slate>
+    </div>
+  </VFiller>
+}
+
+//-----------------------------------------------------------------------------
+// Split pane: editor with its own toolbar, search and folds. Versions are
+// shown read-only.
+
+function SplitBox({style, settings, mode="Condensed"}) {
+  const {doc, updateDoc, focused, spellcheck, setSplit} = settings
+  const {editor, sectID, buffer, onChange, track, search, readOnly} = settings.split
+
+  const onFocus = useCallback(ev => {
+    if(focused !== "split") setFocusTo(updateDoc, sectID, undefined, "split")
+  }, [focused, updateDoc, sectID])
+
+  return <VFiller style={{borderLeft: "2px solid lightgray"}}>
+    <ToolBox style={doc.ui.editor.toolbox.mid}>
+      <ChooseSplitView doc={doc} split={doc.ui.editor.split} setSplit={setSplit}/>
+      <Separator/>
+      {readOnly ? null : <EditButtons editor={editor} track={track}/>}
+      {readOnly ? null : <Separator/>}
+      <Searching editor={editor} searchText={search.searchText} setSearchText={search.setSearchText} searchBoxRef={search.searchBoxRef}/>
+      <Separator/>
+      <Filler />
+      <Separator/>
+      <FoldButtons editor={editor} folded={track.block?.folded}/>
+      <Separator/>
+      <IconButton tooltip="Close split view" onClick={e => setSplit(undefined)}><Icon.Close/></IconButton>
+    </ToolBox>
+
+    <div className="Filler Board" style={{...style}}>
+      <Slate editor={editor} initialValue={buffer} onChange={onChange}>
+        <SlateEditable
+          className={addClass("Sheet", mode)}
+          readOnly={readOnly}
+          highlight={search.highlightText}
+          spellCheck={spellcheck && !readOnly}
+          onFocus={onFocus}
+        />
       </Slate>
     </div>
   </VFiller>
 }
 
+function ChooseSplitView({doc, split, setSplit}) {
+  const {body, versions} = doc
+  const value = (split.sectID === "version") ? split.version : split.sectID
+
+  function onChange(value) {
+    if(value === "body" || value === "notes") {
+      setSplit(value)
+    } else {
+      setSplit("version", value)
+    }
+  }
+
+  return <TextField select size="small" variant="standard" value={value} onChange={e => onChange(e.target.value)}>
+    <MenuItem value="body">{body.name ?? "Draft"}</MenuItem>
+    <MenuItem value="notes">Notes</MenuItem>
+    {versions.length ? <ListSubheader>Versions</ListSubheader> : null}
+    {versions.map(version => <MenuItem key={version.id} value={version.id}>{version.name}</MenuItem>)}
+  </TextField>
+}
+
 //-----------------------------------------------------------------------------
 
 /*
@@ -0,0 +1,221 @@
+//*****************************************************************************
+//*****************************************************************************
+//
+// Find and replace panel
+//
+//*****************************************************************************
+//*****************************************************************************
+
+import React, {
+  useState, useEffect,
+  useMemo, useCallback,
+  useDeferredValue,
+} from 'react';
+
+import {
+  Editor, Element,
+} from "slate";
+
+import {
+  VBox, HBox, Filler,
+  ToolBox, Button,
+  Input, SearchBox, TextField,
+  Label,
+  MenuItem,
+  Checkbox, FormControlLabel,
+  Inform,
+  addClass,
+} from "../common/factory";
+
+import {
+  replacePattern, findMatches, replaceMatches,
+  scrollToRange,
+} from "./slateHelpers"
+
+//-----------------------------------------------------------------------------
+// Scopes:
+//
+// - selection: text selected when the scope was chosen
+// - scene, chapter: block at cursor in active editor
+// - all: both body and notes
+//-----------------------------------------------------------------------------
+
+const scopes = {
+  "selection": "Selection",
+  "scene": "Scene",
+  "chapter": "Chapter",
+  "all": "All",
+}
+
+const sections = {
+  "body": "Body",
+  "notes": "Notes",
+}
+
+export function FindReplace({settings}) {
+  const {doc, setActive, track} = settings
+  const {active, pane} = doc.ui.editor
+
+  const editors = useMemo(() => ({
+    "body": settings.body.editor,
+    "notes": settings.notes.editor,
+  }), [settings.body.editor, settings.notes.editor])
+
+  const [find, setFind] = useState("")
+  const [replace, setReplace] = useState("")
+  const [options, setOptions] = useState({regex: false, word: false, matchCase: false})
+  const [scope, _setScope] = useState("all")
+  const [selection, setSelection] = useState()
+  const [current, setCurrent] = useState()
+  const [pending, setPending] = useState()
+
+  const setOption = useCallback((key, value) => setOptions(options => ({...options, [key]: value})), [])
+
+  // Selection is tracked with range ref, so it follows the changes
+  const setScope = useCallback(scope => {
+    selection?.ref.unref()
+    const editor = editors[active]
+    setSelection(scope === "selection" && editor.selection
+      ? {sectID: active, ref: Editor.rangeRef(editor, editor.selection)}
+      : undefined
+    )
+    _setScope(scope)
+  }, [editors, active, selection])
+
+  //---------------------------------------------------------------------------
+  // Matches are updated when pattern, scope or content changes. Editors are
+  // mutable, so content and cursor changes are followed through doc and track.
+
+  const pattern = useDeferredValue(find)
+  const re = useMemo(() => replacePattern(pattern, options), [pattern, options])
+
+  const matches = useMemo(() => {
+    return getScopes().flatMap(([sectID, at]) => findMatches(editors[sectID], re, at).map(match => ({sectID, ...match})))
+
+    function getScopes() {
+      switch(scope) {
+        case "selection": {
+          const range = selection?.ref.current
+          return range ? [[selection.sectID, range]] : []
+        }
+        case "scene":
+        case "chapter": {
+          const editor = editors[active]
+          if(!editor.selection) return []
+          const block = Editor.above(editor, {at: editor.selection, match: n => Element.isElement(n) && n.type === scope})
+          return block ? [[active, block[1]]] : []
+        }
+        default: return [["body", []], ["notes", []]]
+      }
+    }
+  }, [re, scope, selection, active, track, editors, doc.body.chapters, doc.notes.chapters]) // eslint-disable-line react-hooks/exhaustive-deps
+
+  //---------------------------------------------------------------------------
+  // Showing a match may need switching the editor first. Selecting is done
+  // when the editor is visible.
+
+  useEffect(() => {
+    if(pending === undefined) return
+    const match = matches[pending]
+    if(!match) {
+      setPending(undefined)
+      return
+    }
+    if(match.sectID !== active || pane !== "main") {
+      setActive(match.sectID, undefined, "main")
+      return
+    }
+    setPending(undefined)
+    setCurrent(pending)
+    scrollToRange(editors[match.sectID], {anchor: match.anchor, focus: match.focus}, true)
+  }, [pending, matches, active, pane, setActive, editors])
+
+  const onReplace = useCallback(() => {
+    const match = matches[current]
+    if(!match) return
+    replaceMatches(editors[match.sectID], [match], replace, options.regex)
+    setPending(current)
+  }, [matches, current, editors, replace, options])
+
+  // Body and notes have separate undo histories. To keep replacing undoable
+  // in one step, it is done to one section at a time, starting from active.
+
+  const onReplaceAll = useCallback(() => {
+    if(!matches.length) return
+    const sectID = matches.some(match => match.sectID === active) ? active : matches[0].sectID
+    const replaced = matches.filter(match => match.sectID === sectID)
+    const left = matches.filter(match => match.sectID !== sectID)
+
+    replaceMatches(editors[sectID], replaced, replace, options.regex)
+    Inform.success(`${sections[sectID]}: Replaced ${replaced.length}` + (left.length ? `, ${left.length} left in ${sections[left[0].sectID]}` : ""))
+    if(sectID !== active) setActive(sectID)
+    setCurrent(undefined)
+  }, [matches, active, setActive, editors, replace, options])
+
+  //---------------------------------------------------------------------------
+
+  const invalid = !!find && !re
+
+  return <VBox style={{overflow: "auto"}}>
+    <VBox style={{padding: "4pt", gap: "4pt"}}>
+      <SearchBox
+        value={find}
+        autoFocus
+        placeholder="Find"
+        error={invalid}
+        onChange={ev => { setFind(ev.target.value); setCurrent(undefined) }}
+      />
+      <Input
+        size="small"
+        value={replace}
+        placeholder="Replace"
+        onChange={ev => setReplace(ev.target.value)}
+      />
+      <HBox style={{flexWrap: "wrap"}}>
+        <FormControlLabel label="Regex" control={<Checkbox size="small" checked={options.regex} onChange={e => setOption("regex", e.target.checked)}/>}/>
+        <FormControlLabel label="Whole word" control={<Checkbox size="small" checked={options.word} onChange={e => setOption("word", e.target.checked)}/>}/>
+        <FormControlLabel label="Case" control={<Checkbox size="small" checked={options.matchCase} onChange={e => setOption("matchCase", e.target.checked)}/>}/>
+      </HBox>
+      <TextField select size="small" label="Scope" value={scope} onChange={e => setScope(e.target.value)}>
+        {Object.entries(scopes).map(([key, name]) => <MenuItem key={key} value={key}>{name}</MenuItem>)}
+      </TextField>
+    </VBox>
+    <ToolBox style={{background: "white"}}>
+      <Label text={invalid ? "Invalid pattern" : `Matches: ${matches.length}`}/>
+      <Filler/>
+      <Button disabled={!matches[current]} onClick={onReplace}>Replace</Button>
+      <Button disabled={!matches.length} onClick={onReplaceAll}>All</Button>
+    </ToolBox>
+    <div className="VBox TOC">
+      {matches.slice(0, 500).map((match, index) => <MatchRow
+        key={`${match.sectID}:${match.path.join(".")}:${match.start}`}
+        match={match}
+        index={index}
+        current={index === current}
+        onSelect={setPending}
+      />)}
+    </div>
+  </VBox>
+}
+
+//-----------------------------------------------------------------------------
+// Match with some context around it
+
+const context = 30
+
+class MatchRow extends React.PureComponent {
+  render() {
+    const {match, index, current, onSelect} = this.props
+    const {text, start, end, sectID} = match
+
+    const before = (start > context ? "…" : "") + text.slice(Math.max(0, start - context), start)
+    const after = text.slice(end, end + context) + (end + context < text.length ? "…" : "")
+
+    return <HBox className={addClass("Entry", current && "Current")} onClick={e => onSelect(index)}>
+      <span className="Name">
+        {sectID === "notes" ? <em>Notes: </em> : null}
+        {before}<span className="highlight">{text.slice(start, end)}</span>{after}
+      </span>
+    </HBox>
+  }
+}
@@ -0,0 +1,133 @@
+//*****************************************************************************
+//*****************************************************************************
+//
+// Suggested changes: accepting and rejecting them
+//
+//*****************************************************************************
+//*****************************************************************************
+
+import React, {
+  useState, useEffect,
+  useMemo, useCallback,
+} from 'react';
+
+import {
+  Range,
+} from "slate";
+
+import {
+  VBox, HBox, Filler,
+  ToolBox, IconButton, Icon,
+  Label,
+  addClass,
+} from "../common/factory";
+
+import {
+  findRevisions, acceptRevisions, rejectRevisions,
+  scrollToRange,
+} from "./slateHelpers"
+
+//-----------------------------------------------------------------------------
+// Changes of body and notes, in the order they appear
+//-----------------------------------------------------------------------------
+
+export function Revisions({settings}) {
+  const {doc, setActive} = settings
+  const {active, pane} = doc.ui.editor
+
+  const editors = useMemo(() => ({
+    "body": settings.body.editor,
+    "notes": settings.notes.editor,
+  }), [settings.body.editor, settings.notes.editor])
+
+  const [pending, setPending] = useState()
+
+  // Editors are mutable, so content changes are followed through doc
+  const revisions = useMemo(() => Object.entries(editors).flatMap(
+    ([sectID, editor]) => findRevisions(editor).map(revision => ({sectID, ...revision}))
+  ), [editors, doc.body.chapters, doc.notes.chapters]) // eslint-disable-line react-hooks/exhaustive-deps
+
+  //---------------------------------------------------------------------------
+
+  const resolve = useCallback((accept, revisions) => {
+    for(const sectID of Object.keys(editors)) {
+      const selected = revisions.filter(revision => revision.sectID === sectID)
+      if(accept) {
+        acceptRevisions(editors[sectID], selected)
+      } else {
+        rejectRevisions(editors[sectID], selected)
+      }
+    }
+  }, [editors])
+
+  // Showing change may need switching the editor first
+
+  useEffect(() => {
+    if(pending === undefined) return
+    const revision = revisions[pending]
+    if(!revision) {
+      setPending(undefined)
+      return
+    }
+    if(revision.sectID !== active || pane !== "main") {
+      setActive(revision.sectID, undefined, "main")
+      return
+    }
+    setPending(undefined)
+    scrollToRange(editors[revision.sectID], {anchor: revision.anchor, focus: revision.focus}, true)
+  }, [pending, revisions, active, pane, setActive, editors])
+
+  //---------------------------------------------------------------------------
+
+  const cursor = editors[active].selection?.anchor
+
+  return <VBox style={{overflow: "auto"}}>
+    <ToolBox style={{background: "white"}}>
+      <Label text={`Changes: ${revisions.length}`}/>
+      <Filler/>
+      <IconButton tooltip="Accept all" disabled={!revisions.length} onClick={e => resolve(true, revisions)}><Icon.Action.AcceptAll/></IconButton>
+      <IconButton tooltip="Reject all" disabled={!revisions.length} onClick={e => resolve(false, revisions)}><Icon.Action.RejectAll/></IconButton>
+    </ToolBox>
+    <div className="VBox TOC">
+      {revisions.slice(0, 500).map((revision, index) => <RevisionEntry
+        key={`${revision.sectID}:${revision.anchor.path.join(".")}`}
+        revision={revision}
+        index={index}
+        current={revision.sectID === active && cursor && Range.includes(revision, cursor)}
+        onSelect={setPending}
+        resolve={resolve}
+      />)}
+    </div>
+  </VBox>
+}
+
+//-----------------------------------------------------------------------------
+
+const quoted = 80
+
+class RevisionEntry extends React.PureComponent {
+  render() {
+    const {revision, index, current, onSelect, resolve} = this.props
+    const {sectID, author, date, text} = revision
+
+    const quote = text.length > quoted ? text.slice(0, quoted) + "…" : text
+    const Mark = revision.revision === "ins" ? "ins" : "del"
+
+    return <VBox className={addClass("Revision", current && "Current")}>
+      <HBox className="Entry" onClick={e => onSelect(index)}>
+        <span className="Name">
+          {sectID === "notes" ? <em>Notes: </em> : null}
+          <Mark>{quote}</Mark>
+        </span>
+        <Filler/>
+        <IconButton size="small" tooltip="Accept" onClick={e => { e.stopPropagation(); resolve(true, [revision]) }}>
+          <Icon.Action.Accept fontSize="small"/>
+        </IconButton>
+        <IconButton size="small" tooltip="Reject" onClick={e => { e.stopPropagation(); resolve(false, [revision]) }}>
+          <Icon.Close fontSize="small"/>
+        </IconButton>
+      </HBox>
+      <span className="Info">{[author || "Unknown", date?.split("T")[0]].filter(s => s).join(", ")}</span>
+    </VBox>
+  }
+}
@@ -12,7 +12,7 @@ import {
   Editor,
   Node, Text,
   Transforms,
-  Range, Point,
+  Range, Point, Path,
   createEditor,
   Element,
 } from 'slate'
@@ -107,7 +107,7 @@ export function SlateEditable({className, highlight, ...props}) {
 
   return <Editable
     className={className}
-    spellCheck={false} // Keep false until you find out how to change language
+    spellCheck={false}    // Enabled when there is a dictionary for story language
     renderElement={renderElement}
     renderLeaf={renderLeaf}
     decorate={highlighter}
@@ -145,11 +145,14 @@ function renderElement({element, attributes, ...props}) {
     case "hchapter": return <h5 className={numClass} {...attributes} {...props}/>
     case "hscene": return <h6 className="Numbered" {...attributes} {...props}/>
 
+    // Notes for the writer are not spell checked
     case "comment":
-    case "missing":
     case "synopsis":
-    case "fill":
     case "tags":
+      return <p className={addClass(element.type, foldClass)} spellCheck={false} {...attributes} {...props}/>
+
+    case "missing":
+    case "fill":
       return <p className={addClass(element.type, foldClass)} {...attributes} {...props}/>
 
     case "br":
@@ -169,12 +172,25 @@ function renderLeaf({ leaf, attributes, children}) {
   if(leaf.italic) {
     children = <em>{children}</em>
   }
+  if(leaf.annotation) {
+    children = <span className="annotation">{children}</span>
+  }
+  if(leaf.revision === "ins") {
+    children = <ins title={revisionTitle(leaf)}>{children}</ins>
+  }
+  if(leaf.revision === "del") {
+    children = <del title={revisionTitle(leaf)}>{children}</del>
+  }
   if(leaf.highlight) {
     children = <span className="highlight">{children}</span>
   }
   return <span {...attributes}>{children}</span>
 }
 
+function revisionTitle({author, date}) {
+  return [author, date?.split("T")[0]].filter(s => s).join(", ")
+}
+
 //*****************************************************************************
 //
 // Custom paste
@@ -334,8 +350,11 @@ export function EditButtons({editor, track}) {
     ReactEditor.focus(editor)
   }, [editor])
 
+  // Only the character styles are toggled, other marks (annotations) are
+  // kept as they are
   const applyMarks = useCallback(marks => {
-    const current = Object.keys(Editor.marks(editor))
+    const current = Object.keys(Editor.marks(editor) ?? {})
+      .filter(key => CharStyleButtons.choices.includes(key))
     for(const key of current) {
       if(!marks.includes(key)) setMark(editor, key, false)
     }
@@ -557,6 +576,7 @@ export function getEditor() {
     withWordCount,        // Autogenerate word counts
     withBreaks,           // empty <p> -> <br>
     withFixNesting,       // Keep correct nesting: chapter -> scene -> paragraph
+    withSuggestions,      // Suggestion mode: record insertions and deletions
     withMarkup,           // Markups (##, **, //, etc)
 
     withReact,
@@ -599,7 +619,7 @@ function withTextPaste(editor) {
     editor.insertNodes(lines.map(line => ({
       type: line ? "p" : "br",
       id: nanoid(),
-      children: [{text: line}]
+      children: [{text: line, ...revisionMarks(editor)}]
     })))
     /**/
     return true
@@ -780,6 +800,195 @@ function withMarkup(editor) {
   return editor
 }
 
+//*****************************************************************************
+//
+// Suggestion mode
+//
+//*****************************************************************************
+
+//-----------------------------------------------------------------------------
+// When editor.suggesting = {author} is set, changes are recorded instead of
+// applied: inserted text is marked as insertion, and deleted text is kept
+// and marked as deletion:
+//
+//    {text, revision: "ins" | "del", author, date}
+//
+// Deleting own suggested insertion removes it, insertions by others are
+// marked as deletion. Splitting and joining paragraphs are not recorded: they
+// are applied as such.
+//-----------------------------------------------------------------------------
+
+export function revisionMarks(editor, revision = "ins") {
+  const {suggesting} = editor
+  if(!suggesting) return {}
+
+  return {
+    revision,
+    author: suggesting.author ?? "",
+    date: new Date().toISOString().split(".")[0] + "Z",
+  }
+}
+
+function withSuggestions(editor) {
+  const {
+    insertText, insertFragment, insertBreak,
+    deleteBackward, deleteForward, deleteFragment,
+  } = editor
+
+  //---------------------------------------------------------------------------
+  // Typing continues own insertion, so that it stays as one revision
+
+  editor.insertText = (text, options) => {
+    if(!editor.suggesting || !editor.selection) return insertText(text, options)
+
+    if(Range.isExpanded(editor.selection)) {
+      suggestDelete(editor.selection)
+      Transforms.collapse(editor, {edge: "end"})
+    }
+
+    const {revision, author, date, ...marks} = Editor.marks(editor) ?? {}
+    const own = revision === "ins" && author === editor.suggesting.author
+
+    editor.marks = own
+      ? {...marks, revision, author, date}
+      : {...marks, ...revisionMarks(editor)}
+
+    insertText(text, options)
+  }
+
+  editor.insertFragment = (fragment, options) => {
+    if(!editor.suggesting || !editor.selection) return insertFragment(fragment, options)
+
+    if(Range.isExpanded(editor.selection)) {
+      suggestDelete(editor.selection)
+      Transforms.collapse(editor, {edge: "end"})
+    }
+
+    const marks = revisionMarks(editor)
+
+    function markInserted(node) {
+      if(Text.isText(node)) {
+        const {revision, author, date, ...rest} = node
+        return {...rest, ...marks}
+      }
+      return {...node, children: node.children.map(markInserted)}
+    }
+
+    insertFragment(fragment.map(markInserted), options)
+  }
+
+  editor.insertBreak = () => {
+    if(!editor.suggesting || !editor.selection) return insertBreak()
+
+    if(Range.isExpanded(editor.selection)) {
+      suggestDelete(editor.selection)
+      Transforms.collapse(editor, {edge: "end"})
+    }
+    insertBreak()
+  }
+
+  //---------------------------------------------------------------------------
+  // Deleting marks the text, and moves the cursor over it. At paragraph edge,
+  // paragraphs are joined.
+
+  editor.deleteBackward = unit => {
+    const {selection} = editor
+    if(!editor.suggesting || !selection || Range.isExpanded(selection)) return deleteBackward(unit)
+
+    const end = skipDeleted(selection.anchor, true)
+    const start = Editor.before(editor, end, {unit})
+    if(!start) return
+
+    if(!samePara(start, end)) {
+      Transforms.select(editor, end)
+      return deleteBackward(unit)
+    }
+
+    const ref = Editor.pointRef(editor, start)
+    suggestDelete({anchor: start, focus: end})
+    Transforms.select(editor, ref.unref())
+  }
+
+  editor.deleteForward = unit => {
+    const {selection} = editor
+    if(!editor.suggesting || !selection || Range.isExpanded(selection)) return deleteForward(unit)
+
+    const start = skipDeleted(selection.anchor, false)
+    const end = Editor.after(editor, start, {unit})
+    if(!end) return
+
+    if(!samePara(start, end)) {
+      Transforms.select(editor, start)
+      return deleteForward(unit)
+    }
+
+    const ref = Editor.pointRef(editor, end)
+    suggestDelete({anchor: start, focus: end})
+    Transforms.select(editor, ref.unref())
+  }
+
+  editor.deleteFragment = options => {
+    const {selection} = editor
+    if(!editor.suggesting || !selection || Range.isCollapsed(selection)) return deleteFragment(options)
+
+    suggestDelete(selection)
+    Transforms.collapse(editor, {edge: options?.direction === "backward" ? "start" : "end"})
+  }
+
+  //---------------------------------------------------------------------------
+
+  function suggestDelete(range) {
+    const {author} = revisionMarks(editor)
+    const own = n => n.revision === "ins" && n.author === author
+
+    Editor.withoutNormalizing(editor, () => {
+      const ref = Editor.rangeRef(editor, range)
+
+      Transforms.setNodes(editor, revisionMarks(editor, "del"), {
+        at: range,
+        match: n => Text.isText(n) && n.revision !== "del" && !own(n),
+        split: true,
+      })
+
+      const inserted = Array.from(Editor.nodes(editor, {
+        at: ref.current,
+        match: n => Text.isText(n) && own(n),
+      })).reverse()
+
+      for(const [, path] of inserted) {
+        const at = Range.intersection(ref.current, Editor.range(editor, path))
+        if(at && Range.isExpanded(at)) Transforms.delete(editor, {at})
+      }
+      ref.unref()
+    })
+  }
+
+  function samePara(a, b) {
+    return Path.equals(Path.parent(a.path), Path.parent(b.path))
+  }
+
+  // Text already marked as deleted is skipped
+
+  function skipDeleted(point, reverse) {
+    for(;;) {
+      const entry = adjacentLeaf(point, reverse)
+      if(entry?.[0].revision !== "del") return point
+      point = reverse ? Editor.start(editor, entry[1]) : Editor.end(editor, entry[1])
+    }
+  }
+
+  function adjacentLeaf({path, offset}, reverse) {
+    const node = Node.get(editor, path)
+    if(reverse ? offset > 0 : offset < node.text.length) return [node, path]
+
+    const sibling = (reverse ? Editor.previous : Editor.next)(editor, {at: path, match: Text.isText})
+    if(sibling && samePara({path: sibling[1]}, {path})) return sibling
+    return undefined
+  }
+
+  return editor
+}
+
 //*****************************************************************************
 //
 // Ensure that indexable blocks have unique ID
@@ -14,6 +14,7 @@ import {
   Element,
 } from 'slate'
 import { ReactEditor } from 'slate-react'
+import { HistoryEditor } from 'slate-history'
 
 import { sleep } from '../../util';
 import { nanoid } from 'nanoid';
@@ -303,6 +304,11 @@ export function doFold(editor, node, path, folded) {
 
   if((node.folded ?? false) === folded) return;
 
+  // Editors in split view share the history, but not the folds
+  if(editor.replayTo) {
+    HistoryEditor.withoutSaving(editor, () => Transforms.setNodes(editor, {folded}, {at: path}))
+    return
+  }
   Transforms.setNodes(editor, {folded}, {at: path})
 }
 
@@ -458,3 +464,313 @@ function searchWithScroll(editor, text, path, offset, forward=true, doFocus=fals
     appBeep();
   }
 }
+
+//*****************************************************************************
+//
+// Find and replace
+//
+//*****************************************************************************
+
+//-----------------------------------------------------------------------------
+// Pattern with options: regex, whole word and case sensitivity. Patterns use
+// unicode mode, so that words with non-ASCII letters are matched as wholes.
+// Returns undefined for empty and invalid patterns.
+//-----------------------------------------------------------------------------
+
+export function replacePattern(text, {regex, word, matchCase} = {}) {
+  if(!text) return undefined
+
+  const source = regex ? text : text.replace(/[\\^$.*+?()[\]{}|]/g, "\\$&")
+  const bounded = word ? `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])` : source
+
+  try {
+    return new RegExp(bounded, matchCase ? "gu" : "giu")
+  } catch(e) {
+    return undefined
+  }
+}
+
+// Expand $&, $1 and $<name> in regex replacement
+
+export function replaceText(replace, match, regex) {
+  if(!regex) return replace
+
+  return replace.replaceAll(/\$(\$|&|\d{1,2}|<([^>]*)>)/g, (token, key, name) => {
+    if(key === "$") return "$"
+    if(key === "&") return match[0]
+    if(name !== undefined) return match.groups?.[name] ?? ""
+    return match[parseInt(key)] ?? ""
+  })
+}
+
+//-----------------------------------------------------------------------------
+// Matches are searched from paragraph texts, so that they can span over
+// leaves with different marks. The scope (at) is a path or a range. With
+// range, only the matches fully inside it are returned.
+//-----------------------------------------------------------------------------
+
+function textPoint(node, path, offset, end = false) {
+  const last = node.children.length - 1
+  for(const [index, leaf] of node.children.entries()) {
+    const length = leaf.text.length
+    if(offset < length || (end && offset === length) || index === last) {
+      return {path: [...path, index], offset: Math.min(offset, length)}
+    }
+    offset -= length
+  }
+}
+
+export function findMatches(editor, re, at = []) {
+  if(!re) return []
+
+  const paragraphs = Editor.nodes(editor, {
+    at,
+    match: n => Element.isElement(n) && Editor.isBlock(editor, n) && Editor.hasInlines(editor, n)
+  })
+
+  const matches = []
+
+  for(const [node, path] of paragraphs) {
+    const text = Node.string(node)
+    for(const match of text.matchAll(re)) {
+      if(!match[0].length) continue
+      const start = match.index
+      const end = start + match[0].length
+
+      matches.push({
+        id: node.id,
+        path,
+        text,
+        start, end,
+        match,
+        anchor: textPoint(node, path, start),
+        focus: textPoint(node, path, end, true),
+      })
+    }
+  }
+
+  if(Range.isRange(at)) {
+    return matches.filter(({anchor, focus}) => Range.includes(at, anchor) && Range.includes(at, focus))
+  }
+  return matches
+}
+
+//-----------------------------------------------------------------------------
+// Matches are replaced from last to first, so that the points of remaining
+// matches stay valid. All the changes go to one undo step. In suggestion
+// mode, the replacements are made through editor, so that they are marked
+// as revisions.
+//-----------------------------------------------------------------------------
+
+export function replaceMatches(editor, matches, replace, regex) {
+  if(!matches.length) return
+
+  const selection = editor.selection && Editor.rangeRef(editor, editor.selection)
+
+  withUndoStep(editor, () => Editor.withoutNormalizing(editor, () => {
+    for(const {anchor, focus, match} of matches.slice().reverse()) {
+      const text = replaceText(replace, match, regex)
+
+      if(editor.suggesting) {
+        Transforms.select(editor, {anchor, focus})
+        if(text) editor.insertText(text)
+        else editor.deleteFragment()
+        continue
+      }
+
+      Transforms.delete(editor, {at: {anchor, focus}})
+      if(text) Transforms.insertText(editor, text, {at: anchor})
+    }
+  }))
+
+  const restore = selection?.unref()
+  if(editor.suggesting && restore) Transforms.select(editor, restore)
+}
+
+// Operations made in fn go to a new undo step
+
+function withUndoStep(editor, fn) {
+  editor.writeHistory("undos", {operations: [], selectionBefore: editor.selection})
+  HistoryEditor.withMerging(editor, fn)
+}
+
+//*****************************************************************************
+//
+// Annotations
+//
+//*****************************************************************************
+
+//-----------------------------------------------------------------------------
+// Annotations are marks with the id of the annotation. Marked text can be
+// split to several leaves (e.g. by bold text) and paragraphs. Annotations are
+// returned in the order they appear, with the marked text and the range from
+// the start of the first leaf to the end of the last one.
+//-----------------------------------------------------------------------------
+
+export function findAnnotations(editor) {
+  const found = new Map()
+
+  const leaves = Editor.nodes(editor, {
+    at: [],
+    match: n => Text.isText(n) && n.annotation
+  })
+
+  for(const [node, path] of leaves) {
+    const annotation = found.get(node.annotation)
+    const focus = {path, offset: node.text.length}
+
+    if(annotation) {
+      const joint = Path.equals(Path.parent(annotation.focus.path), Path.parent(path)) ? "" : " "
+      annotation.text += joint + node.text
+      annotation.focus = focus
+    } else {
+      found.set(node.annotation, {
+        id: node.annotation,
+        text: node.text,
+        anchor: {path, offset: 0},
+        focus,
+      })
+    }
+  }
+
+  return Array.from(found.values())
+}
+
+// Mark selected text with annotation id. Returns false, if there is no
+// selected text.
+
+export function addAnnotation(editor, id) {
+  const {selection} = editor
+  if(!selection || Range.isCollapsed(selection)) return false
+  if(!Editor.string(editor, selection)) return false
+
+  Editor.addMark(editor, "annotation", id)
+  return true
+}
+
+export function removeAnnotation(editor, id) {
+  Transforms.unsetNodes(editor, "annotation", {
+    at: [],
+    match: n => Text.isText(n) && n.annotation === id,
+  })
+}
+
+//*****************************************************************************
+//
+// Suggested changes
+//
+//*****************************************************************************
+
+//-----------------------------------------------------------------------------
+// Suggested changes are leaves marked with revision ("ins" or "del"), author
+// and date. Consecutive leaves of the same change form one revision.
+//-----------------------------------------------------------------------------
+
+function sameRevision(a, b) {
+  return a.revision === b.revision && a.author === b.author && a.date === b.date
+}
+
+export function findRevisions(editor, at = []) {
+  const revisions = []
+  var last = undefined
+
+  const leaves = Editor.nodes(editor, {
+    at,
+    match: n => Text.isText(n) && n.revision
+  })
+
+  for(const [node, path] of leaves) {
+    const focus = {path, offset: node.text.length}
+
+    if(last && sameRevision(last, node) && Path.equals(Path.next(last.focus.path), path)) {
+      last.text += node.text
+      last.focus = focus
+    } else {
+      const {revision, author, date, text} = node
+      last = {revision, author, date, text, anchor: {path, offset: 0}, focus}
+      revisions.push(last)
+    }
+  }
+
+  return revisions
+}
+
+//-----------------------------------------------------------------------------
+// Accepting keeps insertions and removes deletions, rejecting does the
+// opposite. Revisions are resolved from last to first, so that the ranges of
+// remaining ones stay valid. All the changes go to one undo step.
+//-----------------------------------------------------------------------------
+
+export function acceptRevisions(editor, revisions) {
+  resolveRevisions(editor, revisions, "ins")
+}
+
+export function rejectRevisions(editor, revisions) {
+  resolveRevisions(editor, revisions, "del")
+}
+
+function resolveRevisions(editor, revisions, keep) {
+  if(!revisions.length) return
+
+  withUndoStep(editor, () => Editor.withoutNormalizing(editor, () => {
+    for(const {revision, anchor, focus} of revisions.slice().reverse()) {
+      const at = {anchor, focus}
+
+      if(revision === keep) {
+        Transforms.unsetNodes(editor, ["revision", "author", "date"], {at, match: Text.isText})
+      } else {
+        Transforms.delete(editor, {at})
+      }
+    }
+  }))
+}
+
+//*****************************************************************************
+//
+// Split view: the same section can be open in two editors. Operations made
+// in one editor are replayed in the other, and the editors share the undo
+// history. Folds belong to the editor, they are not replayed.
+//
+//*****************************************************************************
+
+export function linkEditors(editor, other) {
+  other.history = editor.history
+  editor.replayTo = other
+  other.replayTo = editor
+}
+
+export function unlinkEditors(editor, other) {
+  editor.replayTo = undefined
+  other.replayTo = undefined
+}
+
+//-----------------------------------------------------------------------------
+// Called from onChange. Operations replayed from the other editor are not
+// sent back.
+
+export function replayOperations(editor) {
+  const other = editor.replayTo
+  if(!other) return
+
+  const ops = editor.operations.filter(op => !isSelectOrFold(op) && !editor.replayed?.has(op))
+  if(!ops.length) return
+
+  if(!other.replayed) other.replayed = new WeakSet()
+
+  HistoryEditor.withoutSaving(other, () => {
+    Editor.withoutNormalizing(other, () => {
+      for(const op of ops) {
+        // Copies, as undo and redo may apply the same operation again
+        const copy = {...op}
+        other.replayed.add(copy)
+        other.apply(copy)
+      }
+    })
+  })
+
+  function isSelectOrFold(op) {
+    if(op.type === "set_selection") return true
+    if(op.type !== "set_node") return false
+    return Object.keys({...op.properties, ...op.newProperties}).every(key => key === "folded")
+  }
+}
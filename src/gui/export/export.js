@@ -8,7 +8,7 @@ import "./styles/export.css"
 import "../common/styles/sheet.css"
 
 import React, {
-  useMemo, useCallback,
+  useMemo, useCallback, useState, useEffect,
   useDeferredValue,
 } from 'react';
 
@@ -24,6 +24,7 @@ import {
   DeferredRender,
   Inform,
   Label,
+  Checkbox, FormControlLabel,
 } from "../common/factory";
 
 import { elemName, getSuffix, nanoid, filterCtrlElems } from "../../document/util";
@@ -32,13 +33,18 @@ import {
 } from "../common/components";
 
 import { storyType } from "../../document/head"
+import { elemFindall } from "../../document/xmljs/tree";
 
 import { FormatBody } from "./formatDoc"
 
-import { formatRTF } from "./formatRTF";
-import { formatHTML } from "./formatHTML"
+import { formatRTF, formatRTF2, formatRTFManuscript } from "./formatRTF";
+import { formatDOCX, formatDOCXManuscript } from "./formatDOCX";
+import { formatHTML, formatHTMLScreen, formatHTMLA4, formatHTMLA5 } from "./formatHTML"
+import { formatEPUB } from "./formatEPUB"
+import { formatPDFA4, formatPDFA5 } from "./formatPDF"
 import { formatMD, formatTXT } from "./formatTXT"
 import { formatTEX1, formatTEX2 } from "./formatTEX"
+import { formatTemplate, loadTemplates, templateDir } from "./formatTemplate"
 import { setFocusTo } from "../editor/editor";
 
 //-----------------------------------------------------------------------------
@@ -51,34 +57,116 @@ const fs = require("../../system/localfs");
 //
 // ****************************************************************************
 
+// Configurable formatters are functions creating the formatting table from
+// export settings.
+
 const formatters = {
   "rtf1": formatRTF,
-  "rtf2": formatRTF,
+  "rtf2": formatRTF2,
+  "docx": formatDOCX,
+  "ms-rtf": formatRTFManuscript,
+  "ms-docx": formatDOCXManuscript,
+  "epub": formatEPUB,
+  "html": formatHTMLScreen,
+  "html-a4": formatHTMLA4,
+  "html-a5": formatHTMLA5,
+  "pdf-a4": formatPDFA4,
+  "pdf-a5": formatPDFA5,
   "tex1": formatTEX1,
   "tex2": formatTEX2,
   "md": formatMD,
   "txt": formatTXT,
 }
 
+// User templates have format "template:<filename>"
+
+function getFormatter(format, exports, templates = []) {
+  if(format?.startsWith("template:")) {
+    const template = templates.find(template => template.format === format)
+    return template && formatTemplate(template)
+  }
+  const formatter = formatters[format]
+  return (typeof formatter === "function") ? formatter(exports) : formatter
+}
+
+// Export settings are stored as attributes of <export>. Named presets are
+// stored as <preset> elements inside it, with the same attributes and a
+// name:
+//
+// <export format="rtf1" ...>
+//   <preset name="Agent submission DOCX" format="docx" .../>
+// </export>
+
+const defaultSettings = {
+  format: "rtf1",
+  type: "short",
+  chapters: "numbered",
+  scenes: "none",
+  wrap: "72",
+  indent: "4",
+  paragraphs: "indented",
+  punctuation: "unicode",
+  synopsis: false,
+  comment: false,
+  missing: true,
+  annotations: false,
+}
+
+function pickSettings(settings) {
+  const {
+    format, type, chapters, scenes, wrap, indent, paragraphs, punctuation,
+    synopsis, comment, missing, annotations
+  } = settings
+  return {
+    format, type, chapters, scenes, wrap, indent, paragraphs, punctuation,
+    synopsis, comment, missing, annotations
+  }
+}
+
+// Paragraph and annotation filters are stored as "true" / "false" attributes
+
+function parseSettings(attributes) {
+  const {synopsis, comment, missing, annotations, ...rest} = attributes ?? {}
+  return {
+    ...defaultSettings,
+    ...rest,
+    ...(synopsis ? {synopsis: synopsis === "true"} : {}),
+    ...(comment ? {comment: comment === "true"} : {}),
+    ...(missing ? {missing: missing === "true"} : {}),
+    ...(annotations ? {annotations: annotations === "true"} : {}),
+  }
+}
+
 export function loadExportSettings(settings) {
   // TODO: Check here that values are valid
+  const {preset, ...attributes} = settings?.attributes ?? {}
 
   return {
-    format: "rtf1",
-    type: "short",
-    chapters: "numbered",
-    scenes: "none",
-    ...(settings?.attributes ?? {})
+    ...parseSettings(attributes),
+    preset,
+    presets: elemFindall(settings, "preset")
+      .filter(elem => elem.attributes?.name)
+      .map(elem => parseSettings(elem.attributes)),
+    // Chapter selection is not saved, as element ids change at load
+    excluded: [],
   }
 }
 
 export function saveExportSettings(settings) {
-  const {type, chapters, scenes} = settings
-  return {type: "export", attributes: {
-    type,
-    chapters,
-    scenes,
-  }}
+  return {
+    type: "export",
+    attributes: {
+      ...pickSettings(settings),
+      preset: settings.preset,
+    },
+    elements: settings.presets.map(preset => ({
+      type: "preset",
+      attributes: {
+        name: preset.name,
+        ...pickSettings(preset),
+      }
+    }))
+  }
 }
 
 // ****************************************************************************
@@ -92,10 +180,18 @@ export function Export({ doc, updateDoc }) {
   const format = doc.exports.format
   const setFormat = useCallback(value => updateDoc(doc => { doc.exports.format = value}), [])
 
+  const [templates, setTemplates] = useState([])
+  const reloadTemplates = useCallback(() => loadTemplates()
+    .then(setTemplates)
+    .catch(err => Inform.error(err)),
+  [])
+
+  useEffect(() => { reloadTemplates() }, [reloadTemplates])
+
   return <HBox style={{ overflow: "auto" }}>
     <ExportIndex style={{ maxWidth: "300px", width: "300px" }} doc={doc} updateDoc={updateDoc}/>
     <Preview doc={doc}/>
-    <ExportSettings style={{minWidth: "300px"}} doc={doc} updateDoc={updateDoc} format={format} setFormat={setFormat}/>
+    <ExportSettings style={{minWidth: "300px"}} doc={doc} updateDoc={updateDoc} format={format} setFormat={setFormat} templates={templates} reloadTemplates={reloadTemplates}/>
   </HBox>
 }
 
@@ -106,28 +202,80 @@ export function Export({ doc, updateDoc }) {
 function updateDocStoryType(updateDoc, value) { updateDoc(doc => {doc.exports.type = value})}
 function updateDocChapterElem(updateDoc, value) { updateDoc(doc => {doc.exports.chapters = value})}
 function updateDocSceneElem(updateDoc, value) { updateDoc(doc => {doc.exports.scenes = value})}
+function updateDocExports(updateDoc, key, value) { updateDoc(doc => {doc.exports[key] = value})}
 
-function ExportSettings({ style, doc, updateDoc, format, setFormat }) {
+//-----------------------------------------------------------------------------
+// Presets: selecting a preset copies its settings to current settings, and
+// saving copies current settings to the preset.
+//-----------------------------------------------------------------------------
 
-  const formatter = formatters[format]
+function updateDocSelectPreset(updateDoc, name) {
+  updateDoc(doc => {
+    const preset = doc.exports.presets.find(preset => preset.name === name)
+    doc.exports.preset = preset?.name
+    if(preset) Object.assign(doc.exports, pickSettings(preset))
+  })
+}
+
+function updateDocSavePreset(updateDoc, name) {
+  updateDoc(doc => {
+    const {presets} = doc.exports
+    const preset = {name, ...pickSettings(doc.exports)}
+    const index = presets.findIndex(preset => preset.name === name)
+    if(index < 0) presets.push(preset); else presets[index] = preset
+    doc.exports.preset = name
+  })
+}
+
+function updateDocDeletePreset(updateDoc, name) {
+  updateDoc(doc => {
+    doc.exports.presets = doc.exports.presets.filter(preset => preset.name !== name)
+    doc.exports.preset = undefined
+  })
+}
+
+function ExportSettings({ style, doc, updateDoc, format, setFormat, templates, reloadTemplates }) {
 
   const { exports } = doc
 
+  const formatter = getFormatter(format, exports, templates)
+
   return <VBox style={style} className="ExportSettings">
-    <TextField select label="Format" value={format} onChange={e => setFormat(e.target.value)}>
+    <TextField select label="Format" value={formatter ? format : ""} onChange={e => setFormat(e.target.value)}>
       <ListSubheader>RTF</ListSubheader>
       <MenuItem value="rtf1">RTF, A4, 1-side</MenuItem>
-      {/*<MenuItem value="rtf2">RTF, A4, 2-side</MenuItem>*/}
+      <MenuItem value="rtf2">RTF, A4, 2-side</MenuItem>
+      <ListSubheader>PDF</ListSubheader>
+      <MenuItem value="pdf-a4">PDF, A4</MenuItem>
+      <MenuItem value="pdf-a5">PDF, A5</MenuItem>
+      <ListSubheader>Word</ListSubheader>
+      <MenuItem value="docx">DOCX, A4</MenuItem>
+      <ListSubheader>Manuscript</ListSubheader>
+      <MenuItem value="ms-rtf">Standard manuscript, RTF</MenuItem>
+      <MenuItem value="ms-docx">Standard manuscript, DOCX</MenuItem>
       <ListSubheader>LaTeX</ListSubheader>
       <MenuItem value="tex1">LaTeX, A5, 1-side</MenuItem>
       <MenuItem value="tex2">LaTeX, A5 booklet</MenuItem>
+      <ListSubheader>E-book</ListSubheader>
+      <MenuItem value="epub">EPUB 3</MenuItem>
+      <ListSubheader>HTML</ListSubheader>
+      <MenuItem value="html">HTML (single file)</MenuItem>
+      <MenuItem value="html-a4">HTML, A4 print</MenuItem>
+      <MenuItem value="html-a5">HTML, A5 print</MenuItem>
       <ListSubheader>Other</ListSubheader>
       <MenuItem value="md">MD (Mark Down)</MenuItem>
-      {/* <MenuItem value="txt">Text (wrapped)</MenuItem> */}
+      <MenuItem value="txt">Text (plain)</MenuItem>
+      {templates.length ? <ListSubheader>Templates</ListSubheader> : null}
+      {templates.map(template => <MenuItem key={template.format} value={template.format}>{template.name} ({template.suffix})</MenuItem>)}
       </TextField>
 
+    <HBox>
+      <Button onClick={e => reloadTemplates()}>Reload templates</Button>
+      <Button onClick={e => templateDir().then(fs.openexternal)}>Open folder</Button>
+    </HBox>
+
     <Separator/>
-    <Button variant="contained" color="success" onClick={e => doExport(e)}>Export</Button>
+    <Button variant="contained" color="success" disabled={!formatter} onClick={e => doExport(e)}>Export</Button>
 
     <Separator/>
 
@@ -144,10 +292,27 @@ function ExportSettings({ style, doc, updateDoc, format, setFormat }) {
       <MenuItem value="none">None</MenuItem>
       </TextField>
 
-    <TextField select label="Scenes" value={exports.scenes} onChange={e => updateDocSceneElem(updateDoc, e.target.value)}>
+    <TextField select label="Scenes" value={exports.scenes} onChange={e => updateDocSceneElem(updateDoc, e.target.value)}
+      helperText={exports.scenes === "named" && !formatter?.hscene ? "Scene names are not written in this format" : undefined}
+      >
       <MenuItem value="none">None</MenuItem>
       <MenuItem value="separated">Separated</MenuItem>
+      <MenuItem value="named" disabled={!formatter?.hscene}>Named</MenuItem>
       </TextField>
+
+    <Separator/>
+    <Label text="Include"/>
+    <FormControlLabel label="Synopses" control={<Checkbox checked={exports.synopsis} onChange={e => updateDocExports(updateDoc, "synopsis", e.target.checked)}/>}/>
+    <FormControlLabel label="Comments" control={<Checkbox checked={exports.comment} onChange={e => updateDocExports(updateDoc, "comment", e.target.checked)}/>}/>
+    <FormControlLabel label="Missing" control={<Checkbox checked={exports.missing} onChange={e => updateDocExports(updateDoc, "missing", e.target.checked)}/>}/>
+    <Tooltip title="Annotations are written to RTF and DOCX files as comments">
+      <FormControlLabel label="Annotations" control={<Checkbox checked={exports.annotations} onChange={e => updateDocExports(updateDoc, "annotations", e.target.checked)}/>}/>
+    </Tooltip>
+
+    {format === "txt" ? <TXTSettings exports={exports} updateDoc={updateDoc}/> : null}
+
+    <Separator/>
+    <PresetSettings doc={doc} updateDoc={updateDoc} templates={templates}/>
   </VBox>
 
   function doExport(event) {
@@ -157,47 +322,160 @@ function ExportSettings({ style, doc, updateDoc, format, setFormat }) {
   }
 }
 
-async function exportToFile(doc, filesuffix, content) {
+function PresetSettings({doc, updateDoc, templates}) {
+  const {preset, presets} = doc.exports
+  const [name, setName] = useState(preset ?? "")
+
+  const selectPreset = useCallback(value => {
+    setName(value)
+    updateDocSelectPreset(updateDoc, value)
+  }, [updateDoc])
+
+  return <>
+    <TextField select label="Preset" value={preset ?? ""} onChange={e => selectPreset(e.target.value)}>
+      <MenuItem value="">&nbsp;</MenuItem>
+      {presets.map(preset => <MenuItem key={preset.name} value={preset.name}>{preset.name}</MenuItem>)}
+      </TextField>
+
+    <TextField label="Preset Name" value={name} onChange={e => setName(e.target.value)}/>
+
+    <HBox>
+      <Button disabled={!name.trim()} onClick={e => updateDocSavePreset(updateDoc, name.trim())}>Save</Button>
+      <Button color="error" disabled={!preset} onClick={e => { updateDocDeletePreset(updateDoc, preset); setName("") }}>Delete</Button>
+    </HBox>
+
+    <Separator/>
+    <Button variant="contained" color="success" disabled={!presets.length} onClick={e => exportPresets(doc, templates)}>Export all presets</Button>
+  </>
+}
+
+function TXTSettings({exports, updateDoc}) {
+  return <>
+    <Separator/>
+
+    <TextField select label="Wrap Width" value={exports.wrap} onChange={e => updateDocExports(updateDoc, "wrap", e.target.value)}>
+      <MenuItem value="0">No wrapping</MenuItem>
+      <MenuItem value="60">60</MenuItem>
+      <MenuItem value="72">72</MenuItem>
+      <MenuItem value="80">80</MenuItem>
+      </TextField>
+
+    <TextField select label="Paragraphs" value={exports.paragraphs} onChange={e => updateDocExports(updateDoc, "paragraphs", e.target.value)}>
+      <MenuItem value="indented">Indented</MenuItem>
+      <MenuItem value="blank">Blank line between</MenuItem>
+      </TextField>
+
+    <TextField select label="Indent" value={exports.indent} disabled={exports.paragraphs === "blank"} onChange={e => updateDocExports(updateDoc, "indent", e.target.value)}>
+      <MenuItem value="none">None</MenuItem>
+      <MenuItem value="2">2 spaces</MenuItem>
+      <MenuItem value="4">4 spaces</MenuItem>
+      <MenuItem value="tab">Tab</MenuItem>
+      </TextField>
+
+    <TextField select label="Punctuation" value={exports.punctuation} onChange={e => updateDocExports(updateDoc, "punctuation", e.target.value)}>
+      <MenuItem value="unicode">Unicode</MenuItem>
+      <MenuItem value="ascii">ASCII</MenuItem>
+      </TextField>
+  </>
+}
+
+async function exportToFile(doc, filesuffix, content, preset) {
   const dirname = await fs.dirname(doc.file.id)
   const name = await fs.basename(doc.file.id)
   const suffix = getSuffix(name, [".mawe", ".mawe.gz"]);
   const basename = await fs.basename(name, suffix);
-  const filename = await fs.makepath(dirname, basename + filesuffix)
+  const presetname = preset ? ` (${preset.replaceAll(/[\\/:*?"<>|]/g, "_")})` : ""
+  const filename = await fs.makepath(dirname, basename + presetname + filesuffix)
   console.log("Export to:", filename)
-  fs.write(filename, content)
+  // Some formats (like DOCX) are packages, which are generated asynchronously
+  return Promise.resolve(content)
+  .then(content => fs.write(filename, content))
   .then(file => Inform.success(`Exported: ${file.name}`))
   .catch(err => Inform.error(err))
 }
 
+// Presets are exported one by one, as some formats (like PDF) use shared
+// resources. Exported files are named after the presets.
+
+async function exportPresets(doc, templates) {
+  for(const preset of doc.exports.presets) {
+    const formatter = getFormatter(preset.format, preset, templates)
+    if(!formatter) {
+      Inform.error(`${preset.name}: Unknown format: ${preset.format}`)
+      continue
+    }
+    const content = FormatBody(formatter, {...doc, exports: preset})
+    await exportToFile(doc, formatter.suffix, content, preset.name)
+  }
+}
+
 //-----------------------------------------------------------------------------
 // Export index
 //-----------------------------------------------------------------------------
 
+// Chapters can be selected for export with checkboxes. Shift-click selects
+// or unselects the range from the previously clicked chapter.
+
+function updateDocExcluded(updateDoc, ids, exclude) {
+  updateDoc(doc => {
+    const excluded = new Set(doc.exports.excluded)
+    for(const id of ids) {
+      if(exclude) excluded.add(id); else excluded.delete(id)
+    }
+    doc.exports.excluded = [...excluded]
+  })
+}
+
 function ExportIndex({ style, doc, updateDoc }) {
-  const { chapters } = doc.body
+  const chapters = filterCtrlElems(doc.body.chapters)
+  const excluded = useMemo(() => new Set(doc.exports.excluded), [doc.exports.excluded])
+  const [anchor, setAnchor] = useState()
+
+  const onSelect = useCallback((event, index) => {
+    event.stopPropagation()
+    const exclude = !excluded.has(chapters[index].id)
+    const [first, last] = (event.shiftKey && anchor !== undefined)
+      ? [Math.min(anchor, index), Math.max(anchor, index)]
+      : [index, index]
+    updateDocExcluded(updateDoc, chapters.slice(first, last + 1).map(chapter => chapter.id), exclude)
+    setAnchor(index)
+  }, [updateDoc, chapters, excluded, anchor])
+
+  const allIds = chapters.map(chapter => chapter.id)
 
   return <VFiller className="TOC" style={style}>
-    {filterCtrlElems(chapters).map(chapter => <ChapterItem key={chapter.id} chapter={chapter} doc={doc} updateDoc={updateDoc}/>)}
+    <HBox>
+      <Button size="small" onClick={e => updateDocExcluded(updateDoc, allIds, false)}>All</Button>
+      <Button size="small" onClick={e => updateDocExcluded(updateDoc, allIds, true)}>None</Button>
+    </HBox>
+    {chapters.map((chapter, index) => <ChapterItem
+      key={chapter.id}
+      chapter={chapter}
+      selected={!excluded.has(chapter.id)}
+      onSelect={e => onSelect(e, index)}
+      updateDoc={updateDoc}
+    />)}
   </VFiller>
 }
 
-function ChapterItem({ chapter, doc, updateDoc }) {
+function ChapterItem({ chapter, selected, onSelect, updateDoc }) {
   const { id, children } = chapter
   const name = elemName(chapter)
-  return <>
-    <div
+  return <div style={selected ? undefined : {opacity: "33%"}}>
+    <HBox
       className="Entry ChapterName"
       onClick={ev => window.location.href = `#${id}`}
       onDoubleClick={ev => setFocusTo(updateDoc, "body", id)}
       style={{ cursor: "pointer" }}
     >
+      <Checkbox size="small" style={{padding: 0, marginRight: "4px"}} checked={selected} onClick={onSelect} onDoubleClick={ev => ev.stopPropagation()}/>
       <span className="Name">{name}</span>
-    </div>
-    {filterCtrlElems(children).map(scene => <SceneItem key={scene.id} scene={scene} doc={doc} updateDoc={updateDoc}/>)}
-  </>
+    </HBox>
+    {filterCtrlElems(children).map(scene => <SceneItem key={scene.id} scene={scene} updateDoc={updateDoc}/>)}
+  </div>
 }
 
-function SceneItem({ scene, doc, updateDoc }) {
+function SceneItem({ scene, updateDoc }) {
   const { id } = scene
   const name = elemName(scene)
   return <div
@@ -0,0 +1,357 @@
+// ****************************************************************************
+//
+// DOCX (Office Open XML) formatting table
+//
+// ****************************************************************************
+
+import JSZip from "jszip"
+import {getHeader} from "../../document/head"
+import {manuscriptInfo, sceneBreak} from "./manuscript"
+
+//-----------------------------------------------------------------------------
+// Sizes are in twentieths of a point (twips), font sizes in half-points.
+//-----------------------------------------------------------------------------
+
+const paperwidth = 11906
+const paperheight = 16838
+const margin = 1440
+const textwidth = paperwidth - 2 * margin
+
+//-----------------------------------------------------------------------------
+
+export const formatDOCX = {
+  // Info
+  suffix: ".docx",
+
+  // File: DOCX is a zip package, so this returns a promise resolving to
+  // the package content.
+  file: (head, content, options) => {
+    const {author, title, subtitle} = head
+    const headinfo = getHeader(head)
+
+    return docxPackage(head, options, {
+      front: [
+        paragraph("Author", run(author ?? "")),
+        paragraph("Title", run(title ?? "<New Story>")),
+        subtitle ? paragraph("Subtitle", run(subtitle)) : "",
+      ].join(""),
+      content,
+      header: paragraph("Header", run(headinfo)),
+      footer: paragraph("Footer", field("PAGE") + run(" / ") + field("NUMPAGES")),
+    })
+  },
+
+  //---------------------------------------------------------------------------
+  // Joining elements
+
+  body: (chapters, options) => {
+    return chapters.join(getSeparator(options.separator))
+  },
+
+  chapter: (head, scenes, options) => {
+    return head + scenes.join(getSeparator(options.separator))
+  },
+
+  scene: (head, splits) => {
+    return head + splits.join(paragraph("BodyText", ""))
+  },
+
+  // First paragraph after heading, separator or break is not indented
+  split: ([first, ...rest]) => [
+    first.replace(`w:val="BodyText"`, `w:val="FirstParagraph"`),
+    ...rest
+  ].join(""),
+
+  //---------------------------------------------------------------------------
+  // Headings
+  //---------------------------------------------------------------------------
+
+  hchapter: (id, number, name, options) => {
+    if(options.skip) return ""
+
+    const numbering = options.number ? [`${options.prefix ?? ""}${number}`] : []
+    const title = options.name ? [name] : []
+    const head = [ ...numbering, ...title].join(". ")
+    const pgbreak = options.pgbreak ? "<w:pageBreakBefore/>" : ""
+
+    return paragraph("ChapterHeading", run(head), pgbreak)
+  },
+
+  hscene: (id, name, options) => {
+    if(!options.name || !name) return ""
+    return paragraph("SceneHeading", run(name))
+  },
+
+  //---------------------------------------------------------------------------
+  // Paragraphs
+  //---------------------------------------------------------------------------
+
+  "synopsis": (p, text) => paragraph("Synopsis", text),
+  "comment": (p, text) => paragraph("Comment", text),
+  "missing": (p, text) => paragraph("Missing", text),
+  "p": (p, text) => paragraph("BodyText", text),
+
+  // Text is a single run, marks are added to its properties
+  "b": (text) => text.replace("<w:rPr>", "<w:rPr><w:b/>"),
+  "i": (text) => text.replace("</w:rPr>", "<w:i/></w:rPr>"),
+  "text": (text) => run(text),
+
+  // Annotations are comments, their texts are written to comments part
+  "annotation": (text, {number}) => [
+    `<w:commentRangeStart w:id="${number}"/>`,
+    text,
+    `<w:commentRangeEnd w:id="${number}"/>`,
+    `<w:r><w:commentReference w:id="${number}"/></w:r>`,
+  ].join(""),
+
+  // Suggested changes are tracked revisions. Deleted text is in delText.
+  "ins": (text, revision) => `<w:ins ${revisionAttrs(revision)}>${text}</w:ins>`,
+  "del": (text, revision) => `<w:del ${revisionAttrs(revision)}>${text
+    .replaceAll("<w:t ", "<w:delText ")
+    .replaceAll("</w:t>", "</w:delText>")
+  }</w:del>`,
+
+  //---------------------------------------------------------------------------
+}
+
+//-----------------------------------------------------------------------------
+// Standard manuscript format: contact block and word count on first page,
+// title half-way down, indented paragraphs, "#" for scene breaks, running
+// header from second page on, and END at the end.
+//-----------------------------------------------------------------------------
+
+const singleSpaced = `<w:spacing w:line="240" w:lineRule="auto"/>`
+
+export const formatDOCXManuscript = {
+  ...formatDOCX,
+
+  file: (head, content, options) => {
+    const info = manuscriptInfo(head, options)
+    const [name, ...contact] = info.contact
+    const tabs = `<w:tabs><w:tab w:val="right" w:pos="${textwidth}"/></w:tabs>`
+    const centered = `<w:jc w:val="center"/>`
+
+    return docxPackage({author: name, title: info.title}, options, {
+      front: [
+        paragraph("Normal", run(name ?? "") + tab() + run(info.wordcount), tabs + singleSpaced),
+        ...contact.map(line => paragraph("Normal", run(line), singleSpaced)),
+        paragraph("Normal", run(info.title), `<w:spacing w:before="4320"/>` + centered),
+        paragraph("Normal", run(info.byline), `<w:spacing w:after="480"/>` + centered),
+      ].join(""),
+      content: content + getSeparator("END"),
+      header: paragraph("Header", run(info.header) + field("PAGE"), `<w:jc w:val="right"/>`),
+      footer: paragraph("Footer", ""),
+      sectPr: "<w:titlePg/>",
+    })
+  },
+
+  body: (chapters, options) => chapters.join(options.separator ? getSeparator(sceneBreak) : ""),
+  chapter: (head, scenes, options) => head + scenes.join(getSeparator(sceneBreak)),
+  scene: (head, splits) => head + splits.join(getSeparator(sceneBreak)),
+  split: (paragraphs) => paragraphs.join(""),
+
+  hchapter: (id, number, name, options) => {
+    if(options.skip) return ""
+
+    const numbering = options.number ? [`${options.prefix ?? ""}${number}`] : []
+    const title = options.name ? [name] : []
+    const head = [ ...numbering, ...title].join(". ")
+    const spacing = options.pgbreak
+      ? `<w:pageBreakBefore/><w:spacing w:before="2880" w:after="480"/>`
+      : `<w:spacing w:before="480" w:after="480"/>`
+    const plain = `<w:rPr><w:b w:val="0"/><w:sz w:val="24"/><w:szCs w:val="24"/>`
+
+    return paragraph("ChapterHeading", run(head).replace("<w:rPr>", plain), spacing + `<w:jc w:val="center"/>`)
+  },
+
+  "p": (p, text) => paragraph("BodyText", text, `<w:ind w:firstLine="720"/>`),
+}
+
+//-----------------------------------------------------------------------------
+
+function getSeparator(separator) {
+  if(separator) {
+    return paragraph("SceneSeparator", run(separator))
+  }
+  return ""
+}
+
+function paragraph(style, content, props = "") {
+  return `<w:p><w:pPr><w:pStyle w:val="${style}"/>${props}</w:pPr>${content}</w:p>\n`
+}
+
+function run(text) {
+  return `<w:r><w:rPr></w:rPr><w:t xml:space="preserve">${escape(text)}</w:t></w:r>`
+}
+
+function revisionAttrs({number, author, date}) {
+  return `w:id="${number}" w:author="${escape(author ?? "")}"${date ? ` w:date="${date}"` : ""}`
+}
+
+function tab() {
+  return `<w:r><w:tab/></w:r>`
+}
+
+function field(instr) {
+  return `<w:fldSimple w:instr="${instr}"><w:r><w:t>1</w:t></w:r></w:fldSimple>`
+}
+
+function escape(text) {
+  return (text && text
+    .replaceAll('&', "&amp;")
+    .replaceAll('<', "&lt;")
+    .replaceAll('>', "&gt;")
+    .replaceAll('"', "&quot;")
+  )
+}
+
+//*****************************************************************************
+//
+// Package parts
+//
+//*****************************************************************************
+
+function docxPackage(head, options, {front, content, header, footer, sectPr = ""}) {
+  const {author, title} = head
+
+  const document = `${xmlHeader}
+<w:document ${xmlns}>
+<w:body>
+${front}
+${content}
+<w:sectPr>
+<w:headerReference w:type="default" r:id="rIdHeader"/>
+<w:footerReference w:type="default" r:id="rIdFooter"/>
+<w:pgSz w:w="${paperwidth}" w:h="${paperheight}"/>
+<w:pgMar w:top="${margin}" w:right="${margin}" w:bottom="${margin}" w:left="${margin}" w:header="720" w:footer="720" w:gutter="0"/>
+${sectPr}
+</w:sectPr>
+</w:body>
+</w:document>`
+
+  const annotations = options.annotations ?? []
+  const commented = annotations.length > 0
+
+  const zip = new JSZip()
+  zip.file("[Content_Types].xml", commented ? contentTypes.replace("</Types>", `${commentsType}\n</Types>`) : contentTypes)
+  zip.file("_rels/.rels", packageRels)
+  zip.file("docProps/core.xml", coreProps(author, title))
+  zip.file("word/_rels/document.xml.rels", commented ? documentRels.replace("</Relationships>", `${commentsRel}\n</Relationships>`) : documentRels)
+  zip.file("word/document.xml", document)
+  zip.file("word/styles.xml", styles(options.lang))
+  zip.file("word/header1.xml", `${xmlHeader}\n<w:hdr ${xmlns}>\n${header}</w:hdr>`)
+  zip.file("word/footer1.xml", `${xmlHeader}\n<w:ftr ${xmlns}>\n${footer}</w:ftr>`)
+  if(commented) zip.file("word/comments.xml", comments(annotations))
+
+  return zip.generateAsync({
+    type: "uint8array",
+    mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    compression: "DEFLATE",
+  })
+}
+
+const xmlHeader = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>`
+
+const xmlns = `\
+xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" \
+xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"`
+
+const contentTypes = `${xmlHeader}
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+<Override PartName="/word/header1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.header+xml"/>
+<Override PartName="/word/footer1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.footer+xml"/>
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`
+
+const packageRels = `${xmlHeader}
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`
+
+const documentRels = `${xmlHeader}
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rIdStyles" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+<Relationship Id="rIdHeader" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/header" Target="header1.xml"/>
+<Relationship Id="rIdFooter" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/footer" Target="footer1.xml"/>
+</Relationships>`
+
+const commentsType = `<Override PartName="/word/comments.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.comments+xml"/>`
+
+const commentsRel = `<Relationship Id="rIdComments" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/comments" Target="comments.xml"/>`
+
+// Annotation lines are written as single spaced paragraphs
+
+function comments(annotations) {
+  return `${xmlHeader}
+<w:comments ${xmlns}>
+${annotations.map(({number, created, text}) => `<w:comment w:id="${number}" w:author=""${created ? ` w:date="${created}"` : ""}>
+${text.split("\n").map(line => paragraph("Normal", run(line), singleSpaced)).join("")}</w:comment>`).join("\n")}
+</w:comments>`
+}
+
+function coreProps(author, title) {
+  return `${xmlHeader}
+<cp:coreProperties \
+xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" \
+xmlns:dc="http://purl.org/dc/elements/1.1/" \
+xmlns:dcterms="http://purl.org/dc/terms/" \
+xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<dc:title>${escape(title ?? "")}</dc:title>
+<dc:creator>${escape(author ?? "")}</dc:creator>
+<dcterms:created xsi:type="dcterms:W3CDTF">${new Date().toISOString().split(".")[0]}Z</dcterms:created>
+</cp:coreProperties>`
+}
+
+//-----------------------------------------------------------------------------
+// Named styles: manuscript text is Times New Roman 12pt, double spaced, with
+// indented paragraphs.
+//-----------------------------------------------------------------------------
+
+function style(id, name, {basedOn = "Normal", next, outline, pPr = "", rPr = ""} = {}) {
+  return `<w:style w:type="paragraph" w:customStyle="1" w:styleId="${id}">
+<w:name w:val="${name}"/>
+<w:basedOn w:val="${basedOn}"/>
+${next ? `<w:next w:val="${next}"/>` : ""}
+<w:qFormat/>
+<w:pPr>${pPr}${outline !== undefined ? `<w:outlineLvl w:val="${outline}"/>` : ""}</w:pPr>
+<w:rPr>${rPr}</w:rPr>
+</w:style>`
+}
+
+function styles(lang) {
+  return `${xmlHeader}
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:docDefaults>
+<w:rPrDefault><w:rPr>
+<w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:cs="Times New Roman" w:eastAsia="Times New Roman"/>
+<w:sz w:val="24"/><w:szCs w:val="24"/>
+<w:lang w:val="${lang.locale}"/>
+</w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr>
+<w:spacing w:before="0" w:after="0" w:line="480" w:lineRule="auto"/>
+</w:pPr></w:pPrDefault>
+</w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal">
+<w:name w:val="Normal"/>
+<w:qFormat/>
+</w:style>
+${style("BodyText", "Body Text", {next: "BodyText", pPr: `<w:ind w:firstLine="567"/>`})}
+${style("FirstParagraph", "First Paragraph", {basedOn: "BodyText", next: "BodyText", pPr: `<w:ind w:firstLine="0"/>`})}
+${style("Missing", "Missing Text", {basedOn: "BodyText", rPr: `<w:color w:val="B41414"/>`})}
+${style("Synopsis", "Synopsis", {basedOn: "BodyText", rPr: `<w:color w:val="1450A0"/>`})}
+${style("Comment", "Comment Text", {basedOn: "BodyText", rPr: `<w:i/><w:color w:val="6E6E6E"/>`})}
+${style("ChapterHeading", "Chapter Heading", {next: "FirstParagraph", outline: 0, pPr: `<w:keepNext/><w:spacing w:before="480" w:after="240"/>`, rPr: `<w:b/><w:sz w:val="28"/><w:szCs w:val="28"/>`})}
+${style("SceneHeading", "Scene Heading", {next: "FirstParagraph", outline: 1, pPr: `<w:keepNext/><w:spacing w:before="240" w:after="120"/>`, rPr: `<w:b/>`})}
+${style("SceneSeparator", "Scene Separator", {next: "FirstParagraph", pPr: `<w:keepNext/><w:jc w:val="center"/>`})}
+${style("Author", "Author", {next: "Title", pPr: `<w:jc w:val="center"/>`})}
+${style("Title", "Title", {next: "Subtitle", pPr: `<w:spacing w:after="240"/><w:jc w:val="center"/>`, rPr: `<w:b/><w:sz w:val="34"/><w:szCs w:val="34"/>`})}
+${style("Subtitle", "Subtitle", {next: "FirstParagraph", pPr: `<w:spacing w:after="240"/><w:jc w:val="center"/>`, rPr: `<w:b/><w:sz w:val="28"/><w:szCs w:val="28"/>`})}
+${style("Header", "Header", {pPr: `<w:tabs><w:tab w:val="right" w:pos="${textwidth}"/></w:tabs><w:spacing w:line="240" w:lineRule="auto"/>`})}
+${style("Footer", "Footer", {pPr: `<w:spacing w:line="240" w:lineRule="auto"/><w:jc w:val="center"/>`})}
+</w:styles>`
+}
@@ -5,17 +5,22 @@
 //*****************************************************************************
 
 import { mawe, elemAsText } from "../../document"
-import { elemHeading } from "../../document/util";
+import { elemHeading, elemName } from "../../document/util";
+import { getLanguage, localQuotes } from "../../document/head";
 import { splitByTrailingElem } from "../../util";
 
 //*****************************************************************************
 // Settings
 //*****************************************************************************
 
-function getChapterOptions(chapters, pgbreak) {
+// Numbered chapters are prefixed with the word "Chapter" in story language
+
+function getChapterOptions(chapters, pgbreak, lang) {
+  const prefix = `${lang.chapter} `
+
   switch(chapters) {
     case "numbered": return {
-      numbered:   { pgbreak, number: true},
+      numbered:   { pgbreak, number: true, prefix},
       unnumbered: { pgbreak, name: true }
     }
     case "named": return {
@@ -23,7 +28,7 @@ function getChapterOptions(chapters, pgbreak) {
       unnumbered: { pgbreak, name: true }
     }
     case "numbered&named": return {
-      numbered:   { pgbreak, number: true, name: true},
+      numbered:   { pgbreak, number: true, name: true, prefix},
       unnumbered: { pgbreak, name: true }
     }
     case "separated": return {
@@ -38,11 +43,25 @@ function getChapterOptions(chapters, pgbreak) {
   }
 }
 
+// Synopses and comments are left out by default, missing paragraphs are
+// included
+
+function getParagraphOptions(exports) {
+  return {
+    synopsis: exports.synopsis ?? false,
+    comment: exports.comment ?? false,
+    missing: exports.missing ?? true,
+  }
+}
+
 function getSceneOptions(scenes) {
   switch(scenes) {
     case "separated": return {
       separator: "* * *"
     }
+    case "named": return {
+      name: true
+    }
   }
   return {}
 }
@@ -54,13 +73,36 @@ function getSceneOptions(scenes) {
 export function FormatBody(format, story) {
   const { exports, head, body } = story
   const pgbreak = exports.type === "long"
+  const lang = getLanguage(head.lang)
 
   const options = {
     long: exports.type === "long",
-    chapter: getChapterOptions(exports.chapters, pgbreak),
-    scene: getSceneOptions(exports.scenes)
+    lang,
+    chapter: getChapterOptions(exports.chapters, pgbreak, lang),
+    scene: getSceneOptions(exports.scenes),
+    paragraph: getParagraphOptions(exports),
+    annotate: exports.annotations ?? false,
   }
 
+  // Annotations written to export: formats supporting them number the
+  // annotations, and write their texts at the end (DOCX).
+  const annotations = new Map((story.annotations ?? []).map(annotation => [annotation.id, annotation]))
+  const annotated = []
+
+  // Annotations and revisions share the numbering
+  var marknum = 0
+
+  // Chapters not selected for export. They are still counted, so that the
+  // exported chapters keep their numbers.
+  const excluded = new Set(exports.excluded ?? [])
+
+  // Words in exported chapters, and in the whole story (manuscript tells
+  // the length of the story, also when only sample chapters are sent)
+  const words = body.chapters
+    .filter(chapter => !excluded.has(chapter.id))
+    .reduce((sum, chapter) => sum + (chapter.words?.text ?? 0), 0)
+  const totalwords = body.words?.text ?? 0
+
   var chapternum = 0
   var scenenum = 0
 
@@ -75,7 +117,7 @@ export function FormatBody(format, story) {
   return format.file(
     mawe.info(head),
     FormatBody(body.chapters),
-    options
+    {...options, uuid: story.uuid, words, totalwords, annotations: annotated}
   )
 
   function FormatBody(chapters) {
@@ -85,8 +127,11 @@ export function FormatBody(format, story) {
   }
 
   function FormatChapter(chapter) {
+    const head = FormatChapterHead(chapter)
+    if(excluded.has(chapter.id)) return null
+
     return format.chapter(
-      FormatChapterHead(chapter),
+      head,
       chapter.children.filter(e => e.type === "scene").map(FormatScene).filter(s => s),
       options.scene
     )
@@ -118,7 +163,9 @@ export function FormatBody(format, story) {
 
     //if(chapters.element === "scene") scenenum = scenenum + 1
 
-    return format.scene("", splits)
+    const head = format.hscene ? format.hscene(scene.id, elemName(scene), options.scene) : ""
+
+    return format.scene(head, splits)
   }
 
   function FormatSplit(split) {
@@ -129,16 +176,65 @@ export function FormatBody(format, story) {
   }
 
   function FormatParagraph(p) {
+    // Scene heading is written by FormatScene
+    if(p.type === "hscene") return
+    if(options.paragraph[p.type] === false) return
     const formatter = format[p.type];
     if(!formatter) return
-    const text = p.children.map(FormatMarks).join("")
+    const marks = p.children.map(FormatMarks)
+    const text = annotationRuns(p.children)
+      .map(({id, start, end}) => FormatAnnotation(id, marks.slice(start, end).join("")))
+      .join("")
     return formatter(p, text)
   }
 
-  function FormatMarks(split) {
-    var text = format.text(split.text)
+  // Annotations are left out, unless they are included in the export and the
+  // format supports them.
+
+  function FormatAnnotation(id, text) {
+    const annotation = options.annotate && format.annotation && annotations.get(id)
+    if(!annotation) return text
+
+    marknum = marknum + 1
+    const note = {...annotation, number: marknum}
+    annotated.push(note)
+    return format.annotation(text, note)
+  }
+
+  function FormatMarks(split, index, splits) {
+    const prev = index ? splits[index - 1].text.slice(-1) : ""
+    var text = format.text(localQuotes(split.text, lang.code, prev))
     if(split.bold) text = format.b(text)
     if(split.italic) text = format.i(text)
-    return text
+    return FormatRevision(split, text)
+  }
+
+  // Suggested changes are written by formats supporting them (DOCX). Others
+  // write the text as if the changes were accepted.
+
+  function FormatRevision(split, text) {
+    const {revision, author, date} = split
+    if(!revision) return text
+
+    const formatter = format[revision]
+    if(!formatter) return (revision === "del") ? "" : text
+
+    marknum = marknum + 1
+    return formatter(text, {number: marknum, author, date})
   }
 }
+
+// Consecutive leaves with the same annotation (or without one) form a run
+
+function annotationRuns(leaves) {
+  const runs = []
+  leaves.forEach((leaf, index) => {
+    const last = runs[runs.length - 1]
+    if(last && last.id === leaf.annotation) {
+      last.end = index + 1
+    } else {
+      runs.push({id: leaf.annotation, start: index, end: index + 1})
+    }
+  })
+  return runs
+}
@@ -0,0 +1,242 @@
+// ****************************************************************************
+//
+// EPUB 3 formatting table
+//
+// ****************************************************************************
+
+import JSZip from "jszip"
+import { uuid as getUUID } from "../../document/util"
+
+//-----------------------------------------------------------------------------
+// Unlike other formats, the blocks are not joined to one string. Scenes and
+// chapters are objects carrying their headings, so that the chapters can be
+// written to separate files, and table of contents can be created from them.
+//-----------------------------------------------------------------------------
+
+export const formatEPUB = {
+  // Info
+  suffix: ".epub",
+
+  // File: EPUB is a zip package, so this returns a promise resolving to
+  // the package content.
+  file: (head, chapters, options) => {
+    const {author, title, subtitle} = head
+    const lang = options.lang.code
+    // Stories from imports and conversions may not have uuid
+    const uuid = options.uuid ?? getUUID()
+
+    const files = [
+      {id: "title", href: "title.xhtml", content: titlePage(head, lang)},
+      ...chapters.map((chapter, index) => ({
+        id: `chapter${index + 1}`,
+        href: `chapter${index + 1}.xhtml`,
+        content: xhtml(lang, chapter.title || title, chapter.head + chapter.content),
+        chapter,
+      }))
+    ]
+
+    const zip = new JSZip()
+
+    // mimetype must be the first file, and it must not be compressed
+    zip.file("mimetype", "application/epub+zip", {compression: "STORE"})
+    zip.file("META-INF/container.xml", container)
+    zip.file("OEBPS/content.opf", contentOPF({uuid, lang, title, subtitle, author}, files))
+    zip.file("OEBPS/nav.xhtml", navDoc(lang, title, files))
+    zip.file("OEBPS/style.css", stylesheet)
+    for(const file of files) zip.file(`OEBPS/${file.href}`, file.content)
+
+    return zip.generateAsync({
+      type: "uint8array",
+      mimeType: "application/epub+zip",
+      compression: "DEFLATE",
+    })
+  },
+
+  //---------------------------------------------------------------------------
+  // Joining elements
+  //---------------------------------------------------------------------------
+
+  // Separated chapters go to one file
+  body: (chapters, options) => {
+    if(!options.separator || !chapters.length) return chapters
+    return [{
+      ...chapters[0],
+      scenes: chapters.map(chapter => chapter.scenes).flat(),
+      content: chapters.map(chapter => chapter.content).join(getSeparator(options.separator))
+    }]
+  },
+
+  chapter: (head, scenes, options) => ({
+    ...head,
+    scenes: scenes.filter(scene => scene.name),
+    content: scenes.map(scene => scene.content).join(getSeparator(options.separator)),
+  }),
+
+  scene: (head, splits) => ({
+    ...head,
+    content: `<div id="${head.id}" class="scene">\n${splits.join("<br/>\n")}\n</div>\n`,
+  }),
+
+  split: (paragraphs) => paragraphs.join("\n"),
+
+  //---------------------------------------------------------------------------
+  // Headings
+  //---------------------------------------------------------------------------
+
+  hchapter: (id, number, name, options) => {
+    if(options.skip) return {id, title: "", head: ""}
+
+    const numbering = options.number ? [`${options.prefix ?? ""}${number}`] : []
+    const title = options.name ? [name] : []
+    const head = [ ...numbering, ...title].join(". ")
+
+    return {id, title: head, head: `<h2 id="${id}">${escape(head)}</h2>\n`}
+  },
+
+  hscene: (id, name, options) => ({id, name}),
+
+  //---------------------------------------------------------------------------
+  // Paragraphs
+  //---------------------------------------------------------------------------
+
+  "synopsis": (p, text) => `<p class="synopsis">${text}</p>`,
+  "comment": (p, text) => `<p class="comment">${text}</p>`,
+  "missing": (p, text) => `<p class="missing">${text}</p>`,
+  "p": (p, text) => `<p>${text}</p>`,
+
+  "b": (text) => `<strong>${text}</strong>`,
+  "i": (text) => `<em>${text}</em>`,
+  "text": (text) => escape(text),
+
+  //---------------------------------------------------------------------------
+}
+
+//-----------------------------------------------------------------------------
+
+function getSeparator(separator) {
+  if(separator) {
+    return `<p class="separator">${escape(separator)}</p>\n`
+  }
+  return ""
+}
+
+function escape(text) {
+  return (text && text
+    .replaceAll('&', "&amp;")
+    .replaceAll('<', "&lt;")
+    .replaceAll('>', "&gt;")
+    .replaceAll('"', "&quot;")
+  )
+}
+
+//*****************************************************************************
+//
+// Package documents
+//
+//*****************************************************************************
+
+const xmlHeader = `<?xml version="1.0" encoding="UTF-8"?>`
+
+const container = `${xmlHeader}
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles>
+<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+</rootfiles>
+</container>`
+
+function contentOPF({uuid, lang, title, subtitle, author}, files) {
+  const modified = new Date().toISOString().split(".")[0] + "Z"
+
+  return `${xmlHeader}
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="uid" xml:lang="${lang}">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="uid">urn:uuid:${uuid}</dc:identifier>
+<dc:title id="title">${escape(title ?? "")}</dc:title>
+<meta refines="#title" property="title-type">main</meta>
+${subtitle ? `<dc:title id="subtitle">${escape(subtitle)}</dc:title>
+<meta refines="#subtitle" property="title-type">subtitle</meta>` : ""}
+${author ? `<dc:creator id="author">${escape(author)}</dc:creator>
+<meta refines="#author" property="role" scheme="marc:relators">aut</meta>` : ""}
+<dc:language>${lang}</dc:language>
+<meta property="dcterms:modified">${modified}</meta>
+</metadata>
+<manifest>
+<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+<item id="css" href="style.css" media-type="text/css"/>
+${files.map(file => `<item id="${file.id}" href="${file.href}" media-type="application/xhtml+xml"/>`).join("\n")}
+</manifest>
+<spine>
+${files.map(file => `<itemref idref="${file.id}"/>`).join("\n")}
+</spine>
+</package>`
+}
+
+//-----------------------------------------------------------------------------
+// Navigation document: chapters, and named scenes under them
+//-----------------------------------------------------------------------------
+
+function navDoc(lang, title, files) {
+  const chapters = files.filter(file => file.chapter)
+
+  function tocChapter({href, chapter}, index) {
+    const scenes = chapter.scenes.map(scene => `<li><a href="${href}#${scene.id}">${escape(scene.name)}</a></li>`)
+    const name = chapter.title || `${index + 1}`
+
+    return `<li><a href="${href}">${escape(name)}</a>${scenes.length ? `\n<ol>\n${scenes.join("\n")}\n</ol>` : ""}</li>`
+  }
+
+  return xhtml(lang, title, `\
+<nav epub:type="toc" id="toc">
+<h1>${escape(title ?? "")}</h1>
+<ol>
+${chapters.map(tocChapter).join("\n")}
+</ol>
+</nav>
+<nav epub:type="landmarks" hidden="">
+<ol>
+<li><a epub:type="titlepage" href="title.xhtml">${escape(title ?? "")}</a></li>
+<li><a epub:type="bodymatter" href="${chapters[0]?.href ?? "title.xhtml"}">${escape(title ?? "")}</a></li>
+</ol>
+</nav>`)
+}
+
+function titlePage({author, title, subtitle}, lang) {
+  return xhtml(lang, title, `\
+<div class="titlepage">
+<p class="author">${escape(author ?? "")}</p>
+<h1>${escape(title ?? "")}</h1>
+${subtitle ? `<p class="subtitle">${escape(subtitle)}</p>` : ""}
+</div>`)
+}
+
+function xhtml(lang, title, body) {
+  return `${xmlHeader}
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${lang}" lang="${lang}">
+<head>
+<meta charset="utf-8"/>
+<title>${escape(title ?? "")}</title>
+<link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>`
+}
+
+//-----------------------------------------------------------------------------
+
+const stylesheet = `\
+body { font-family: serif; line-height: 1.4; }
+h1, h2 { text-align: center; font-weight: bold; }
+h2 { margin: 2em 0 1.5em 0; page-break-before: always; }
+p { margin: 0; text-indent: 1.5em; text-align: justify; hyphens: auto; -epub-hyphens: auto; }
+h2 + .scene > p:first-child, .scene:first-child > p:first-child, .separator + .scene > p:first-child { text-indent: 0; }
+.separator { margin: 1em 0; text-align: center; text-indent: 0; }
+.missing { color: rgb(180, 20, 20); }
+.synopsis { color: rgb(20, 80, 160); }
+.comment { color: rgb(110, 110, 110); font-style: italic; }
+.titlepage { margin-top: 30%; text-align: center; }
+.titlepage p { text-align: center; text-indent: 0; }
+.subtitle { font-size: 1.2em; }
+`
@@ -62,12 +62,15 @@ ${content}
 
   hscene: undefined,
 
+  // Values for user templates
+  placeholders: (head, options) => ({style: sheetStyle}),
+
   //---------------------------------------------------------------------------
   // Paragraphs
   //---------------------------------------------------------------------------
 
-  // "synopsis": (p) => null,
-  // "comment": (p) => null,
+  "synopsis": (p, text) => `<p id="${p.id}" style="color: rgb(20, 80, 160);">${text}</p>`,
+  "comment": (p, text) => `<p id="${p.id}" style="color: rgb(110, 110, 110); font-style: italic;">${text}</p>`,
   "missing": (p, text) => `<p id="${p.id}" style="color: rgb(180, 20, 20);">${text}</p>`,
   "p": (p, text) => `<p id="${p.id}">${text}</p>`,
 
@@ -93,10 +96,164 @@ function escape(text) {
     .replaceAll('<', "&lt;")
     .replaceAll('>', "&gt;")
 
-    // If you have copy-pasted text, you may have these
-    .replaceAll('“', '"')
-    .replaceAll('”', '"')
     //.replaceAll('"', "&quot;")
     .replaceAll('…', "...")
   )
 }
+
+//*****************************************************************************
+//
+// Standalone HTML file: title page, table of contents and embedded styles.
+// TOC entries are collected from the chapter headings formatted above.
+// Long stories start chapters (and the text after title page and TOC) from
+// a new page when printed.
+//
+//*****************************************************************************
+
+export function formatHTMLFile(paper) {
+  return {
+    ...formatHTML,
+
+    file: (head, content, options) => {
+      const {author, title, subtitle} = head
+      const lang = options.lang.code
+
+      return `\
+<!DOCTYPE html>
+<html lang="${lang}">
+<head>
+<meta charset="utf-8">
+<meta name="author" content="${escape(author ?? "")}">
+<title>${escape(title ?? "<New Story>")}</title>
+<style>
+${sheetStyle}${paper ? printStyle(paper) : ""}</style>
+</head>
+<body>
+<div class="Sheet${options.long ? " Long" : ""}">
+<div class="TitlePage">
+<center>${escape(author ?? "")}</center>
+<h1>${escape(title ?? "<New Story>")}</h1>
+${subtitle ? "<h2>" + escape(subtitle) + "</h2>" : ""}
+</div>
+${getTOC(content)}
+${content}
+</div>
+</body>
+</html>
+`
+    },
+  }
+}
+
+export const formatHTMLScreen = formatHTMLFile()
+export const formatHTMLA4 = formatHTMLFile({size: "A4", margin: "2cm 2.5cm"})
+export const formatHTMLA5 = formatHTMLFile({size: "A5", margin: "1.5cm 1.5cm"})
+
+//-----------------------------------------------------------------------------
+
+function getTOC(content) {
+  const entries = Array.from(content.matchAll(/<h2 id="([^"]+)">(.*?)<\/h2>/g))
+  if(!entries.length) return ""
+
+  return `\
+<nav class="TOC">
+<ul>
+${entries.map(([match, id, head]) => `<li><a href="#${id}">${head}</a></li>`).join("\n")}
+</ul>
+</nav>`
+}
+
+//-----------------------------------------------------------------------------
+// Styles derived from common/styles/sheet.css
+//-----------------------------------------------------------------------------
+
+const sheetStyle = `\
+body {
+  background: #F5F7F9;
+  margin: 0;
+}
+.Sheet {
+  font-size: 12pt;
+  line-height: 180%;
+  font-family: 'Times New Roman', Times, serif;
+  hyphens: auto;
+  background: white;
+  max-width: 6in;
+  margin: 0.5cm auto;
+  padding: 1cm 2cm 2cm 2cm;
+  box-shadow: 0 4px 8px rgba(0, 0, 0, 0.253), 0 4px 8px rgba(0, 0, 0, 0.322);
+}
+.Sheet div, .Sheet p, .Sheet h1, .Sheet h2 {
+  padding: 0;
+  margin: 0;
+}
+.Sheet h1 {
+  font-size: 17pt;
+  font-weight: bold;
+  text-align: center;
+  margin-bottom: 1cm;
+}
+.Sheet h2 {
+  font-size: 14pt;
+  text-align: center;
+}
+.Sheet h2[id] {
+  font-size: 12pt;
+  text-align: left;
+  margin-bottom: 0.5cm;
+}
+.Sheet hr {
+  border: 0;
+  border-top: 1px dashed LightSteelBlue;
+}
+.Sheet p + p {
+  text-indent: 1.0cm;
+}
+.TitlePage {
+  margin-bottom: 0.5in;
+}
+.TOC {
+  margin-bottom: 1cm;
+}
+.TOC ul {
+  list-style: none;
+  padding: 0;
+}
+.TOC a {
+  color: inherit;
+  text-decoration: none;
+}
+.TOC a:hover {
+  text-decoration: underline;
+}
+`
+
+function printStyle({size, margin}) {
+  return `\
+@page {
+  size: ${size};
+  ${margin ? `margin: ${margin};` : ""}
+}
+@media print {
+  body {
+    background: none;
+  }
+  .Sheet {
+    max-width: none;
+    margin: 0;
+    padding: 0;
+    box-shadow: none;
+  }
+  .Long .TitlePage, .Long .TOC {
+    page-break-after: always;
+  }
+  .Sheet hr {
+    border: 0;
+    page-break-before: always;
+  }
+  .Sheet h2[id] {
+    page-break-after: avoid;
+  }
+}
+`
+}
@@ -0,0 +1,64 @@
+// ****************************************************************************
+//
+// PDF formatting: story is formatted to HTML, which is then printed to PDF
+// by the backend.
+//
+// ****************************************************************************
+
+import {formatHTMLFile} from "./formatHTML"
+import {getHeader} from "../../document/head"
+import {printPDF} from "../../system/host"
+
+//-----------------------------------------------------------------------------
+// Margins are given in inches. Page size and margins are given to printing,
+// so that there is room for running header and page numbers.
+//-----------------------------------------------------------------------------
+
+function formatPDF(paper) {
+  const html = formatHTMLFile({size: paper.size})
+
+  return {
+    ...html,
+
+    // Info
+    suffix: ".pdf",
+
+    // File: returns a promise resolving to the PDF content.
+    file: (head, content, options) => {
+      return printPDF(html.file(head, content, options), {
+        pageSize: paper.size,
+        margins: paper.margins,
+        printBackground: false,
+        displayHeaderFooter: true,
+        headerTemplate: pageHeader(getHeader(head)),
+        footerTemplate: "<span></span>",
+      })
+    },
+  }
+}
+
+export const formatPDFA4 = formatPDF({size: "A4", margins: {top: 1, bottom: 1, left: 1, right: 1}})
+export const formatPDFA5 = formatPDF({size: "A5", margins: {top: 0.75, bottom: 0.75, left: 0.6, right: 0.6}})
+
+//-----------------------------------------------------------------------------
+// Running header, like in RTF export. Templates are rendered without document
+// styles, and the default font size is zero. Empty footer hides the default
+// one (date and URL).
+//-----------------------------------------------------------------------------
+
+const templateStyle = `font-family: 'Times New Roman', Times, serif; font-size: 9pt; width: 100%; margin: 0 0.6in;`
+
+function pageHeader(headinfo) {
+  return `<div style="${templateStyle} display: flex; justify-content: space-between;">
+<span>${escape(headinfo)}</span>
+<span><span class="pageNumber"></span> / <span class="totalPages"></span></span>
+</div>`
+}
+
+function escape(text) {
+  return (text && text
+    .replaceAll('&', "&amp;")
+    .replaceAll('<', "&lt;")
+    .replaceAll('>', "&gt;")
+  )
+}
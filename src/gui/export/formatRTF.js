@@ -6,6 +6,7 @@
 
 import {elemAsText, elemName} from "../../document"
 import {getHeader} from "../../document/head"
+import {manuscriptInfo, sceneBreak} from "./manuscript"
 
 //-----------------------------------------------------------------------------
 
@@ -16,6 +17,8 @@ const fonts = `{\\fonttbl
 const colors = `{\\colortbl;
 \\red0\\green0\\blue0;
 \\red180\\green20\\blue20;
+\\red20\\green80\\blue160;
+\\red110\\green110\\blue110;
 }`
 
 //-----------------------------------------------------------------------------
@@ -38,24 +41,40 @@ ${paperA4}
 \\margl${(paperwidth-textwidth)/2 + gutter}
 \\margr${(paperwidth-textwidth)/2 - gutter}`
 
+//-----------------------------------------------------------------------------
+// Page headers: one-sided has the same header on every page. Two-sided has
+// page numbers on the outer edges: left on even pages, right on odd pages.
 //-----------------------------------------------------------------------------
 
-export const formatRTF = {
-  // Info
-  suffix: ".rtf",
+const pgnum = `{\\field{\\*\\fldinst PAGE}}`
+const pgtot = `{\\field{\\*\\fldinst NUMPAGES}}`
 
-  // File
-  file: (head, content, options) => {
-    const pgbreak = options.pgbreak ? "\\page" : ""
+function singleHeader(langcode, headinfo) {
+  return `{\\header\\lang${langcode}\\tqr\\tx8496
+${escape(headinfo)}\\tab ${pgnum} / ${pgtot}
+\\par}`
+}
 
-    const {author, title, subtitle} = head
-    const headinfo = getHeader(head)
-    const langcode = 1035
+function doubleHeader(langcode, headinfo) {
+  return `{\\headerl\\lang${langcode}\\tqr\\tx8496
+${pgnum}\\tab ${escape(headinfo)}
+\\par}
+{\\headerr\\lang${langcode}\\tqr\\tx8496
+${escape(headinfo)}\\tab ${pgnum}
+\\par}`
+}
+
+//-----------------------------------------------------------------------------
 
-    const pgnum = `{\\field{\\*\\fldinst PAGE}}`
-    const pgtot = `{\\field{\\*\\fldinst NUMPAGES}}`
+function rtfFile(head, content, options, sides) {
+  const {author, title, subtitle} = head
+  const headinfo = getHeader(head)
+  const langcode = options.lang.rtf
 
-    return `{\\rtf1\\ansi\\deff0
+  const geometry = sides === "twoside" ? `\\facingp\n${doubleA4}` : singleA4
+  const header = sides === "twoside" ? doubleHeader(langcode, headinfo) : singleHeader(langcode, headinfo)
+
+  return `{\\rtf1\\ansi\\deff0
 ${fonts}
 ${colors}
 {\\info
@@ -63,13 +82,11 @@ ${colors}
 {\\author ${escape(author)}}
 }
 \\deflang${langcode}
-${singleA4}
+${geometry}
 \\sectd\\margtsxn1701
 \\sbknone\\ltrsect\\stextflow0
 
-{\\header\\lang${langcode}\\tqr\\tx8496
-${escape(headinfo)}\\tab ${pgnum} / ${pgtot}
-\\par}
+${header}
 
 \\lang${langcode}
 \\sl440
@@ -80,7 +97,19 @@ ${subtitle ? "{\\sa440\\qc\\b\\fs28" + escape(subtitle) + "\\par}" : ""}
 
 ${content}
 }\n`
-  },
+}
+
+//-----------------------------------------------------------------------------
+
+export const formatRTF = {
+  // Info
+  suffix: ".rtf",
+
+  // File
+  file: (head, content, options) => rtfFile(head, content, options, "oneside"),
+
+  // Values for user templates
+  placeholders: (head, options) => ({fonts, colors, rtflang: options.lang.rtf}),
 
   //\\headery851\\f0\\fs24\\fi0\\li0\\ri0\\rin0\\lin0
 
@@ -124,16 +153,133 @@ ${content}
   // Paragraph styles
   "missing": (p, text) => `\\cf2 ${text}\\par}\n`,
   "p": (p, text) => ` ${text}\\par}\n`,
-  //"synopsis": (p) => undefined,
-  //"comment": (p) => undefined,
+  "synopsis": (p, text) => `\\cf3 ${text}\\par}\n`,
+  "comment": (p, text) => `\\cf4\\i ${text}\\par}\n`,
 
   "b": (text) => `{\\b ${text}}`,
   "i": (text) => `{\\i ${text}}`,
   "text": (text) => escape(text),
 
+  // Annotation is a comment anchored to the annotated text
+  "annotation": (text, note) => rtfAnnotation(text, note),
+
   //---------------------------------------------------------------------------
 }
 
+//-----------------------------------------------------------------------------
+// Two-sided RTF: mirrored margins, and chapters of long stories start from
+// odd pages. Odd page start needs a section break.
+//-----------------------------------------------------------------------------
+
+export const formatRTF2 = {
+  ...formatRTF,
+
+  file: (head, content, options) => rtfFile(head, content, options, "twoside"),
+
+  hchapter: (id, number, name, options) => {
+    if(options.skip || !options.pgbreak) return formatRTF.hchapter(id, number, name, options)
+
+    const head = formatRTF.hchapter(id, number, name, {...options, pgbreak: false})
+    return `\\sect\\sbkodd\n${head}`
+  },
+}
+
+//-----------------------------------------------------------------------------
+// Standard manuscript format: contact block and word count on first page,
+// title half-way down, double spaced text with indented paragraphs, "#" for
+// scene breaks, running header from second page on, and END at the end.
+//-----------------------------------------------------------------------------
+
+const manuscriptA4 = `\\paperh${paperheight}\\paperw${paperwidth}
+\\margl1440\\margr1440\\margt1440\\margb1440`
+
+function manuscriptFile(head, content, options) {
+  const info = manuscriptInfo(head, options)
+  const langcode = options.lang.rtf
+  const [name, ...contact] = info.contact
+
+  return `{\\rtf1\\ansi\\deff0
+${fonts}
+${colors}
+{\\info
+{\\title ${escape(info.title)}}
+{\\author ${escape(name ?? "")}}
+}
+\\deflang${langcode}
+${manuscriptA4}
+\\sectd\\titlepg\\sbknone
+
+{\\header\\lang${langcode}\\qr
+${escape(info.header)}${pgnum}
+\\par}
+{\\headerf\\par}
+
+\\lang${langcode}
+\\sl240\\slmult1
+
+{\\tqr\\tx${paperwidth - 2 * 1440} ${escape(name ?? "")}\\tab ${escape(info.wordcount)}\\par}
+${contact.map(line => `{${escape(line)}\\par}`).join("\n")}
+
+\\sl480\\slmult1
+
+{\\sb4320\\qc ${escape(info.title)}\\par}
+{\\sa480\\qc ${escape(info.byline)}\\par}
+
+${content}
+{\\sb480\\qc END\\par}
+}\n`
+}
+
+export const formatRTFManuscript = {
+  ...formatRTF,
+
+  file: manuscriptFile,
+
+  body: (chapters, options) => chapters.join(options.separator ? getSeparator(sceneBreak) : ""),
+  chapter: (head, scenes, options) => head + scenes.join(getSeparator(sceneBreak)),
+  scene: (head, splits) => head + splits.join(getSeparator(sceneBreak)),
+  split: (paragraphs) => "{\\fi720" + paragraphs.join("{\\fi720"),
+
+  hchapter: (id, number, name, options) => {
+    if(options.skip) return ""
+
+    const pgbreak = options.pgbreak ? "\\pagebb\\sb2880" : "\\sb480"
+    const numbering = options.number ? [escape(`${options.prefix ?? ""}${number}`)] : []
+    const title = options.name ? [escape(name)] : []
+    const head = [ ...numbering, ...title].join(". ")
+
+    return `{${pgbreak}\\sa480\\qc ${head}\\par}\n`
+  },
+}
+
+//-----------------------------------------------------------------------------
+// Annotations: annotated text is enclosed in bookmark-like start and end
+// marks, and the comment refers to them. Date is in packed DTTM format.
+//-----------------------------------------------------------------------------
+
+function rtfAnnotation(text, {number, created, text: comment}) {
+  const content = comment.split("\n").map(escape).join("\\par ")
+
+  return `{\\*\\atrfstart ${number}}${text}{\\*\\atrfend ${number}}`
+    + `{\\*\\atnid }{\\*\\atnauthor }\\chatn`
+    + `{\\*\\annotation{\\*\\atnref ${number}}${rtfDate(created)}\\pard\\plain ${content}}`
+}
+
+function rtfDate(created) {
+  const date = new Date(created)
+  if(isNaN(date)) return ""
+
+  // Bits: minutes 0-5, hours 6-10, day 11-15, month 16-19, year 20-28
+  const dttm = (
+    date.getMinutes() |
+    (date.getHours() << 6) |
+    (date.getDate() << 11) |
+    ((date.getMonth() + 1) << 16) |
+    ((date.getFullYear() - 1900) << 20)
+  )
+  return `{\\*\\atndate ${dttm}}`
+}
+
 //-----------------------------------------------------------------------------
 
 function getSeparator(separator, pgbreak) {
@@ -144,6 +290,12 @@ function getSeparator(separator, pgbreak) {
   return ""
 }
 
+// RTF unicode values are signed 16-bit integers
+
+function toInt16(code) {
+  return code > 32767 ? code - 65536 : code
+}
+
 function escape(text) {
   return (text && text
     .replaceAll('\\', "\\\\")
@@ -160,9 +312,13 @@ function escape(text) {
     .replaceAll("ö", "\\'f6")
     .replaceAll("Ö", "\\'d6")
 
-    // If you have copy-pasted text, you may have these
-    .replaceAll('“', "\\'94")
+    // Localized quotes
+    .replaceAll('“', "\\'93")
     .replaceAll('”', "\\'94")
     .replaceAll('…', "...")
+
+    // Other non-ASCII characters as unicode, characters outside BMP as
+    // surrogate pairs
+    .replaceAll(/[\u0080-\uFFFF]/g, c => `\\u${toInt16(c.charCodeAt(0))}?`)
   )
 }
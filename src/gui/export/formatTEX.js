@@ -15,11 +15,11 @@ function paperSize(sides) {
   return "\\usepackage[a5paper, nohead, top=0.5in]{geometry}"
 }
 
-const commonHeading = `\
+const commonHeading = (lang) => `\
 \\usepackage{times}
 \\usepackage[T1]{fontenc}
 \\usepackage[utf8]{inputenc}
-\\usepackage[finnish]{babel}
+\\usepackage[${lang.babel}]{babel}
 \\usepackage{setspace}
 \\usepackage{xcolor}
 \\usepackage{nextpage}
@@ -63,14 +63,16 @@ function renewCommands(options, sides) {
 \\newcommand{\\chNumber}[1]{
 }
 
+\\newcommand\\chPrefix{${escape(options.chapter.numbered.prefix ?? "")}}
+
 \\renewcommand\\chapter[2]{
   ${pgbreak ? newpage : "\\vskip 36pt"}
   \\begin{center}
     \\if@titlepage
-      \\ifthenelse{\\equal{#1}{}}{}{\\RNum{#1}\\vskip 12pt}
+      \\ifthenelse{\\equal{#1}{}}{}{\\chPrefix\\RNum{#1}\\vskip 12pt}
       \\ifthenelse{\\equal{#2}{}}{}{\\textbf{#2}}
     \\else
-      \\ifthenelse{\\equal{#1}{}}{}{\\textbf{#1. }}
+      \\ifthenelse{\\equal{#1}{}}{}{\\textbf{\\chPrefix#1. }}
       \\ifthenelse{\\equal{#2}{}}{}{\\textbf{#2}}
     \\fi
   \\end{center}
@@ -105,7 +107,7 @@ function FileHeading(head, options, sides) {
 
   return `\
 ${paperSize(sides)}
-${commonHeading}
+${commonHeading(options.lang)}
 \\begin{document}
 
 %%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%%
@@ -186,7 +188,8 @@ ${backmatter}
   hchapter: (id, number, name, options) => {
     if(options.skip) return ""
 
-    const chnum = options.number ? [escape(`${options.prefix ?? ""}${number}`)] : []
+    // Prefix is added by \chapter macro
+    const chnum = options.number ? [number] : []
     const title = options.name ? [escape(name)] : []
 
     return `\n\n\\chapter{${chnum}}{${title}}\n\n`
@@ -195,14 +198,21 @@ ${backmatter}
   //---------------------------------------------------------------------------
 
   // Paragraph styles
-  //"synopsis": (p) => undefined,
-  //"comment": (p) => undefined,
+  "synopsis": (p, text) => `{\\color{blue}${linify(text)}}`,
+  "comment": (p, text) => `{\\color{gray}\\itshape ${linify(text)}}`,
   "missing": (p, text) => `{\\color{red}${linify(text)}}`,
   "p": (p, text) => `${linify(text)}`,
 
   "b": (text) => `\\textbf{${text}}`,
   "i": (text) => `\\textit{${text}}`,
   "text": (text) => escape(text),
+
+  // Values for user templates: chapter headings and separators need the
+  // macros.
+  placeholders: (head, options) => ({
+    packages: `${paperSize("oneside")}\n${commonHeading(options.lang)}`,
+    macros: renewCommands(options, "oneside"),
+  }),
 }
 
 //-----------------------------------------------------------------------------
@@ -287,8 +297,8 @@ function escape(text) {
     .replaceAll('^', "{\\textasciicircum}")
     .replaceAll('"', "''")
 
-    // If you have copy-pasted text, you may have these
-    .replaceAll('“', "''")
+    // Localized quotes
+    .replaceAll('“', "``")
     .replaceAll('”', "''")
     .replaceAll('…', "...")
   )
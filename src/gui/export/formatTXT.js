@@ -4,63 +4,99 @@
 //
 // ****************************************************************************
 
-export const formatTXT = {
-  // Info
-  suffix: ".txt",
+//-----------------------------------------------------------------------------
+// TXT formatting is configured with export settings:
+//
+// wrap:        line width, 0 = no wrapping
+// indent:      paragraph indent, "none", "2", "4" or "tab"
+// paragraphs:  "indented" or "blank" (blank line between paragraphs)
+// punctuation: "unicode" or "ascii" (transliterated quotes, dashes, ...)
+//-----------------------------------------------------------------------------
 
-  // File
-  file: (head, content, options) => {
-    //const author = head.nickname || head.author
-    const {author, title, subtitle} = head
-    //const headinfo = author ? `${author}: ${title}` : title
-    return `\
-${center(author ?? "")}
+export function formatTXT(settings = {}) {
+  const width = parseInt(settings.wrap ?? "72") || 0
+  const indent = getIndent(settings.indent ?? "4")
+  const blank = settings.paragraphs === "blank"
+  const ascii = settings.punctuation === "ascii"
+
+  function punct(text) {
+    return ascii ? asciify(text) : text
+  }
 
-${center(title.toUpperCase()) ?? ""}
-${subtitle ? "\n" + center(subtitle) + "\n" : ""}
+  function centered(text) {
+    return center(punct(text), width || 72)
+  }
+
+  return {
+    // Info
+    suffix: ".txt",
+
+    // File
+    file: (head, content, options) => {
+      const {author, title, subtitle} = head
+      return `\
+${centered(author ?? "")}
+
+${centered((title ?? "").toUpperCase())}
+${subtitle ? "\n" + centered(subtitle) + "\n" : ""}
 
 ${content}
 `
-  },
+    },
 
-  //---------------------------------------------------------------------------
-  // Joining elements
+    //-------------------------------------------------------------------------
+    // Joining elements
 
-  body: (chapters, options) => {
-    return chapters.join(getSeparator(options.separator))
-  },
+    body: (chapters, options) => {
+      return chapters.join(separator(options.separator))
+    },
 
-  chapter: (head, scenes, options) => {
-    return head + scenes.join(getSeparator(options.separator))
-  },
+    chapter: (head, scenes, options) => {
+      return head + scenes.join(separator(options.separator))
+    },
 
-  scene: (head, splits) => {
-    return head + splits.join("\n\n")
-  },
+    scene: (head, splits) => {
+      return head + splits.join("\n\n")
+    },
 
-  split: (paragraphs) => paragraphs.join("\n    "),
+    // First paragraph of a split is not indented
+    split: ([first, ...rest]) => {
+      if(blank) return [first, ...rest].map(p => linify(p, width)).join("\n\n")
+      return [
+        linify(first, width),
+        ...rest.map(p => linify(p, width, indent))
+      ].join("\n")
+    },
 
-  hchapter: (id, number, name, options) => {
-    if(options.skip) return ""
+    hchapter: (id, number, name, options) => {
+      if(options.skip) return ""
 
-    const numbering = options.number ? [escape(`${options.prefix ?? ""}${number}`)] : []
-    const title = options.name ? [escape(name)] : []
-    const head = [ ...numbering, ...title].join(". ")
+      const numbering = options.number ? [escape(`${options.prefix ?? ""}${number}`)] : []
+      const title = options.name ? [escape(name)] : []
+      const head = [ ...numbering, ...title].join(". ")
 
-    return `${head}\n\n`
-  },
+      return `${punct(head)}\n\n`
+    },
 
-  hscene: undefined,
+    hscene: undefined,
 
-  // Paragraph styles
-  //"synopsis": (p) => undefined,
-  //"comment": (sp) => undefined,
-  "missing": (p,text) => `!! ${linify(text)}`,
-  "p": (p, text) => `${linify(text)}`,
+    // Paragraph styles
+    "synopsis": (p, text) => `>> ${text}`,
+    "comment": (p, text) => `// ${text}`,
+    "missing": (p,text) => `!! ${text}`,
+    "p": (p, text) => `${text}`,
 
-  "b": (text) => `*${text}*`,
-  "i": (text) => `_${text}_`,
-  "text": (text) => text,
+    "b": (text) => `*${text}*`,
+    "i": (text) => `_${text}_`,
+    "text": (text) => punct(text),
+  }
+
+  function separator(text) {
+    if(text) {
+      return `\n\n${centered(text)}\n\n`
+    }
+    return "\n\n"
+  }
 }
 
 //-----------------------------------------------------------------------------
@@ -119,8 +155,8 @@ ${content}
   hscene: undefined,
 
   // Paragraph styles
-  //"synopsis": (p) => undefined,
-  //"comment": (sp) => undefined,
+  "synopsis": (p, text) => `> ${text}`,
+  "comment": (p, text) => `<!-- ${text} -->`,
   "missing": (p,text) => `!! ${text}`,
   "p": (p, text) => `${text}`,
 
@@ -142,23 +178,52 @@ function escape(text) {
   return text
 }
 
-function linify(text) {
+// Wrap text to lines shorter than width. Indent is added to first line.
+
+function linify(text, width = 80, indent = "") {
   const words = escape(text).split(" ").filter(p => p.length)
+  if(!width) return indent + words.join(" ")
+
+  const first = indent.replaceAll("\t", "        ")
   var lines = [""]
   for(const word of words) {
     const last = lines[lines.length-1]
+    const used = last.length + (lines.length === 1 ? first.length : 0)
     if(!last.length) {
       lines[lines.length-1] = word
-    } else if(last.length + word.length + 1 < 80) {
+    } else if(used + word.length + 1 <= width) {
       lines[lines.length-1] = last + " " + word
     } else {
       lines.push(word)
     }
   }
+  lines[0] = indent + lines[0]
   return lines.join("\n")
 }
 
-function center(text) {
+function center(text, width = 80) {
   const escaped = escape(text)
-  return escaped.padStart((40+escaped.length/2), " ")
+  return escaped.padStart((width/2+escaped.length/2), " ")
+}
+
+function getIndent(indent) {
+  switch(indent) {
+    case "none": return ""
+    case "tab": return "\t"
+    default: break
+  }
+  return " ".repeat(parseInt(indent) || 0)
+}
+
+// Transliterate typographic punctuation to ASCII
+
+function asciify(text) {
+  return (text
+    .replaceAll(/[“”„«»]/g, '"')
+    .replaceAll(/[‘’‚‹›]/g, "'")
+    .replaceAll("—", "--")
+    .replaceAll("–", "-")
+    .replaceAll("…", "...")
+    .replaceAll("\u00A0", " ")
+  )
 }
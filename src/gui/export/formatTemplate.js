@@ -0,0 +1,95 @@
+// ****************************************************************************
+//
+// User templates
+//
+// ****************************************************************************
+
+import { formatRTF } from "./formatRTF";
+import { formatHTML } from "./formatHTML"
+import { formatMD, formatTXT } from "./formatTXT"
+import { formatTEX1 } from "./formatTEX"
+import { getHeader } from "../../document/head"
+
+const fs = require("../../system/localfs");
+
+//-----------------------------------------------------------------------------
+// Templates are files in "templates" folder in user data folder. File suffix
+// selects the formatter used for the body, and the exported file gets the same
+// suffix. Placeholders in template are replaced with story values:
+//
+//    {{title}}, {{subtitle}}, {{author}}, {{header}}, {{lang}}
+//    {{body}}        Story content
+//    {{wordcount}}   Words in exported chapters
+//
+// Formatters may give their own placeholders, e.g. {{macros}} for LaTeX and
+// {{style}} for HTML. Unknown placeholders are left as they are.
+//-----------------------------------------------------------------------------
+
+const templateFolder = "templates"
+
+const bases = {
+  ".tex": formatTEX1,
+  ".rtf": formatRTF,
+  ".html": formatHTML,
+  ".htm": formatHTML,
+  ".md": formatMD,
+  ".txt": formatTXT(),
+}
+
+export async function templateDir() {
+  const userdata = await fs.getlocation("userData")
+  const dirname = await fs.makepath(userdata, templateFolder)
+  await fs.mkdir(dirname)
+  return dirname
+}
+
+export async function loadTemplates() {
+  const dirname = await templateDir()
+  const files = (await fs.readdir(dirname))
+    .filter(file => file.type === "file" && !file.hidden)
+    .sort((a, b) => a.name.localeCompare(b.name))
+
+  const templates = []
+  for(const file of files) {
+    const suffix = (await fs.extname(file.name)).toLowerCase()
+    if(!(suffix in bases)) continue
+    templates.push({
+      format: `template:${file.name}`,
+      name: await fs.basename(file.name, suffix),
+      suffix,
+      content: await fs.read(file.id),
+    })
+  }
+  return templates
+}
+
+//-----------------------------------------------------------------------------
+
+export function formatTemplate(template) {
+  const base = bases[template.suffix]
+
+  return {
+    ...base,
+    suffix: template.suffix,
+
+    file: (head, content, options) => {
+      const {author, title, subtitle} = head
+      const text = value => value ? base.text(value) : ""
+
+      return fillTemplate(template.content, {
+        title: text(title),
+        subtitle: text(subtitle),
+        author: text(author),
+        header: text(getHeader(head)),
+        lang: options.lang.code,
+        body: content,
+        wordcount: `${options.words}`,
+        ...(base.placeholders ? base.placeholders(head, options) : {}),
+      })
+    },
+  }
+}
+
+function fillTemplate(template, values) {
+  return template.replaceAll(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (key in values) ? values[key] : match)
+}
@@ -0,0 +1,43 @@
+// ****************************************************************************
+//
+// Standard manuscript format (Shunn)
+//
+// ****************************************************************************
+
+//-----------------------------------------------------------------------------
+// Common values for manuscript writers:
+//
+// - Contact block: real name, address lines and email
+// - Word count of the story: rounded to hundreds (short stories) or
+//   thousands (novels)
+// - Running header: "Surname / Title / page", page number is added by writer.
+//   Missing parts are left out.
+//-----------------------------------------------------------------------------
+
+export const sceneBreak = "#"
+
+export function manuscriptInfo(head, options) {
+  const {author, realname, address, email, title} = head
+  const name = realname ?? author ?? ""
+
+  return {
+    contact: [
+      name,
+      ...(address ?? "").split("\n").map(line => line.trim()),
+      email,
+    ].filter(line => line),
+    wordcount: `about ${roundWords(options.totalwords, options.long).toLocaleString(options.lang.locale)} words`,
+    title: title ?? "<New Story>",
+    byline: `by ${author ?? name}`,
+    header: [surname(author ?? name), title].filter(part => part).map(part => `${part} / `).join(""),
+  }
+}
+
+function roundWords(words, long) {
+  const unit = long ? 1000 : 100
+  return Math.max(unit, Math.round(words / unit) * unit)
+}
+
+function surname(name) {
+  return name.trim().split(/\s+/).pop()
+}
@@ -29,9 +29,11 @@ import { maweFromTree } from "../../document/xmljs/load";
 
 import { Preview } from "./preview";
 import { ImportText } from "./importText";
+import { ImportMarkdown } from "./importMarkdown";
+import { ImportDocx } from "./importDocx";
+import { ImportRTF } from "./importRTF";
 
 //const anytext = require("any-text")
-const mammoth = require("mammoth")
 const fs = require("../../system/localfs")
 
 //*****************************************************************************
@@ -42,6 +44,9 @@ const fs = require("../../system/localfs")
 
 const formats = {
   "text": {name: "Text",},
+  "md": {name: "Markdown",},
+  "docx": {name: "DOCX",},
+  "rtf": {name: "RTF",},
 }
 
 function getContent(file, ext) {
@@ -52,12 +57,17 @@ function getContent(file, ext) {
     }
   }
   switch(ext) {
-    //case ".rtf":
+    case ".rtf": return {
+      loader: fs.read(file.id),
+      format: "rtf"
+    }
     case ".docx": return {
-      loader: fs.read(file.id, null)
-        .then(buffer => mammoth.extractRawText({arrayBuffer: buffer}))
-        .then(result => result.value),
-      format: "text"
+      loader: fs.read(file.id, null),
+      format: "docx"
+    }
+    case ".md": return {
+      loader: fs.read(file.id),
+      format: "md"
     }
   }
   return {
@@ -192,6 +202,9 @@ class SelectFormat extends React.PureComponent {
 
     switch(format) {
       case "text": return <ImportText content={content} setImported={setImported}/>
+      case "md": return <ImportMarkdown content={content} setImported={setImported}/>
+      case "docx": return <ImportDocx content={content} setImported={setImported}/>
+      case "rtf": return <ImportRTF content={content} setImported={setImported}/>
     }
     return null
   }
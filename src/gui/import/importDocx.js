@@ -0,0 +1,207 @@
+//*****************************************************************************
+//
+// DOCX import
+//
+//*****************************************************************************
+
+import React, {
+  useEffect
+} from 'react';
+
+import {
+  Label,
+  TextField,
+  Inform,
+} from "../common/factory";
+
+import { nanoid } from "../../document/util";
+import { leaves2elems, mergeLeaves, isSceneBreak } from "./util";
+
+const mammoth = require("mammoth")
+
+//-----------------------------------------------------------------------------
+// Word styles are mapped to mawe elements with lines "Style Name = type".
+// Types are: chapter, scene, synopsis, comment, missing, break, skip and p.
+// Defaults map the styles written by mawe DOCX export. Heading 1 is chapter
+// and other headings are scenes.
+//-----------------------------------------------------------------------------
+
+const defaultStyles = `\
+Chapter Heading = chapter
+Scene Separator = break
+Synopsis = synopsis
+Comment Text = comment
+Missing Text = missing
+Title = skip
+Subtitle = skip
+Author = skip`
+
+const styleTargets = {
+  "chapter": "h1:fresh",
+  "scene": "h2:fresh",
+  "synopsis": "p.synopsis:fresh",
+  "comment": "p.comment:fresh",
+  "missing": "p.missing:fresh",
+  "break": "p.break:fresh",
+  "p": "p:fresh",
+  "skip": "!",
+}
+
+export class ImportDocx extends React.PureComponent {
+
+  constructor(props) {
+    super(props);
+    this.state = {
+      styles: defaultStyles,
+    };
+  }
+
+  setStyles(styles) {
+    this.setState({styles})
+  }
+
+  render() {
+    const {content, setImported} = this.props
+
+    return <>
+      <Label>DOCX import</Label>
+      <TextField multiline minRows={6} label="Style mapping" value={this.state.styles} onChange={e => this.setStyles(e.target.value)}/>
+      <UpdateImported content={content} setImported={setImported} settings={this.state}/>
+    </>
+  }
+}
+
+// Conversion is asynchronous: result of an outdated conversion is discarded
+
+function UpdateImported({content, setImported, settings}) {
+  useEffect(() => {
+    if(!content) return
+    var cancelled = false
+    importDocx(content, settings)
+    .then(imported => { if(!cancelled) setImported(imported) })
+    .catch(err => Inform.error(err))
+    return () => { cancelled = true }
+  }, [content, setImported, settings])
+}
+
+//-----------------------------------------------------------------------------
+
+function getStyleMap(styles) {
+  return styles
+    .split("\n")
+    .map(line => line.split("="))
+    .filter(parts => parts.length === 2)
+    .map(([name, type]) => [name.trim(), type.trim().toLowerCase()])
+    .filter(([name, type]) => name && type in styleTargets)
+    .map(([name, type]) => `p[style-name='${name.replaceAll("'", "\\'")}'] => ${styleTargets[type]}`)
+}
+
+export async function importDocx(buffer, settings = {}) {
+  const {styles = defaultStyles} = settings
+
+  const result = await mammoth.convertToHtml({arrayBuffer: buffer}, {
+    styleMap: getStyleMap(styles),
+    ignoreEmptyParagraphs: true,
+  })
+
+  return html2elems(result.value)
+}
+
+//-----------------------------------------------------------------------------
+// Converted HTML to chapters: h1 starts a chapter, other headings start
+// scenes. Scene break paragraphs ("* * *", "***", "#") and paragraphs mapped
+// to breaks start a new scene at next paragraph.
+//-----------------------------------------------------------------------------
+
+function html2elems(html) {
+  const doc = new DOMParser().parseFromString(`<body>${html}</body>`, "text/html")
+
+  const chapters = []
+  var chapter = undefined
+  var scene = undefined
+
+  for(const elem of blockElems(doc.body)) {
+    const tag = elem.tagName.toLowerCase()
+    const text = elem.textContent.replaceAll(/\s+/g, " ").trim()
+
+    if(tag === "h1") {
+      newChapter(text)
+    }
+    else if(/^h[2-6]$/.test(tag)) {
+      newScene(text)
+    }
+    else if(elem.classList.contains("break") || isSceneBreak(text)) {
+      if(scene?.elements.length) scene = undefined
+    }
+    else if(text) {
+      const type = ["synopsis", "comment", "missing"].find(name => elem.classList.contains(name)) ?? "p"
+      addParagraph(type, elem)
+    }
+  }
+
+  return chapters
+
+  //---------------------------------------------------------------------------
+
+  function newChapter(name) {
+    chapter = {
+      type: "element", name: "chapter", id: nanoid(),
+      attributes: { name },
+      elements: []
+    }
+    chapters.push(chapter)
+    scene = undefined
+  }
+
+  function newScene(name) {
+    if(!chapter) newChapter()
+    scene = {
+      type: "element", name: "scene", id: nanoid(),
+      attributes: { name },
+      elements: []
+    }
+    chapter.elements.push(scene)
+  }
+
+  function addParagraph(type, elem) {
+    if(!scene) newScene()
+    scene.elements.push({
+      type: "element", name: type, id: nanoid(),
+      elements: leaves2elems(mergeLeaves(inlineLeaves(elem, {})))
+    })
+  }
+}
+
+// Lists and tables are flattened to paragraphs
+
+function blockElems(parent) {
+  return Array.from(parent.children).map(elem => {
+    switch(elem.tagName.toLowerCase()) {
+      case "ul":
+      case "ol":
+      case "table":
+      case "thead":
+      case "tbody":
+      case "tr":
+      case "td":
+      case "th": return blockElems(elem)
+      default: return [elem]
+    }
+  }).flat()
+}
+
+function inlineLeaves(node, marks) {
+  if(node.nodeType === 3) {
+    return [{text: node.textContent, ...marks}]
+  }
+  if(node.nodeType !== 1) return []
+
+  const tag = node.tagName.toLowerCase()
+  const nested = {
+    ...marks,
+    ...((tag === "strong" || tag === "b") ? {bold: true} : {}),
+    ...((tag === "em" || tag === "i") ? {italic: true} : {}),
+  }
+  if(tag === "br") return [{text: " ", ...marks}]
+  return Array.from(node.childNodes).map(child => inlineLeaves(child, nested)).flat()
+}
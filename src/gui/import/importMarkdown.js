@@ -0,0 +1,295 @@
+//*****************************************************************************
+//
+// Markdown import
+//
+//*****************************************************************************
+
+import React, {
+  useEffect
+} from 'react';
+
+import {
+  Label,
+  TextField,
+  MenuItem,
+} from "../common/factory";
+
+import { nanoid } from "../../document/util";
+import { leaves2elems } from "./util";
+
+export class ImportMarkdown extends React.PureComponent {
+
+  constructor(props) {
+    super(props);
+    this.state = {
+      blockquote: "synopsis",
+      comment: "comment",
+    };
+  }
+
+  setBlockquote(blockquote) {
+    this.setState({blockquote})
+  }
+
+  setComment(comment) {
+    this.setState({comment})
+  }
+
+  render() {
+    const {content, setImported} = this.props
+
+    return <>
+      <Label>Markdown import</Label>
+      <TextField select label="Blockquotes" value={this.state.blockquote} onChange={e => this.setBlockquote(e.target.value)}>
+        <MenuItem value="synopsis">Synopsis</MenuItem>
+        <MenuItem value="comment">Comment</MenuItem>
+        <MenuItem value="p">Text</MenuItem>
+        <MenuItem value="skip">Skip</MenuItem>
+      </TextField>
+      <TextField select label="HTML comments" value={this.state.comment} onChange={e => this.setComment(e.target.value)}>
+        <MenuItem value="comment">Comment</MenuItem>
+        <MenuItem value="synopsis">Synopsis</MenuItem>
+        <MenuItem value="skip">Skip</MenuItem>
+      </TextField>
+      <UpdateImported content={content} setImported={setImported} settings={this.state}/>
+    </>
+  }
+}
+
+function UpdateImported({content, setImported, settings}) {
+  useEffect(() => {
+    setImported(importMarkdown(content, settings))
+  }, [content, setImported, settings])
+}
+
+//*****************************************************************************
+//
+// Markdown is first split to blocks:
+//
+// - heading: "# Chapter", "## Scene" (deeper headings are scenes, too)
+// - break: "***", "* * *", "---" or "___" alone on a line
+// - quote: lines starting with ">"
+// - comment: <!-- ... -->, may span several lines
+// - p: lines separated by empty lines
+//
+//*****************************************************************************
+
+export function importMarkdown(content, settings = {}) {
+
+  if(!content) return undefined
+
+  const {blockquote = "synopsis", comment = "comment"} = settings
+
+  const chapters = []
+  var chapter = undefined
+  var scene = undefined
+
+  for(const block of md2blocks(content)) {
+    switch(block.type) {
+      case "heading":
+        if(block.level === 1) newChapter(block.text)
+        else newScene(block.text)
+        break
+      // New scene is started at next paragraph
+      case "break":
+        if(scene?.elements.length) scene = undefined
+        break
+      case "quote":
+        addParagraphs(blockquote, block.paragraphs)
+        break
+      case "comment":
+        addParagraphs(comment, block.paragraphs)
+        break
+      default:
+        addParagraphs("p", block.paragraphs)
+        break
+    }
+  }
+
+  return chapters
+
+  //---------------------------------------------------------------------------
+
+  function newChapter(name) {
+    chapter = {
+      type: "element", name: "chapter", id: nanoid(),
+      attributes: { name },
+      elements: []
+    }
+    chapters.push(chapter)
+    scene = undefined
+  }
+
+  function newScene(name) {
+    if(!chapter) newChapter()
+    scene = {
+      type: "element", name: "scene", id: nanoid(),
+      attributes: { name },
+      elements: []
+    }
+    chapter.elements.push(scene)
+  }
+
+  function addParagraphs(type, paragraphs) {
+    if(type === "skip") return
+    if(!scene) newScene()
+    scene.elements.push(...paragraphs.map(text => makeParagraph(type, text)))
+  }
+
+  function makeParagraph(type, text) {
+    return {
+      type: "element", name: type, id: nanoid(),
+      elements: (type === "p") ? md2marks(text) : [{type: "text", text: unescape(text)}]
+    }
+  }
+}
+
+//-----------------------------------------------------------------------------
+
+function isHeading(line) { return line.match(/^(#{1,6})\s+(.*?)(\s+#+)?\s*$/) }
+function isBreak(line) { return /^ {0,3}([*\-_])(\s*\1){2,}\s*$/.test(line) }
+function isQuote(line) { return /^ {0,3}>/.test(line) }
+function isCommentStart(line) { return /^ {0,3}<!--/.test(line) }
+
+function md2blocks(content) {
+  const lines = content.replaceAll("\r", "").split("\n")
+  const blocks = []
+  var index = 0
+
+  while(index < lines.length) {
+    const line = lines[index]
+    const heading = isHeading(line)
+
+    if(!line.trim()) {
+      index++
+    }
+    else if(heading) {
+      blocks.push({type: "heading", level: heading[1].length, text: unescape(heading[2])})
+      index++
+    }
+    else if(isBreak(line)) {
+      blocks.push({type: "break"})
+      index++
+    }
+    else if(isQuote(line)) {
+      const quoted = takeWhile(isQuote).map(line => line.replace(/^ {0,3}> ?/, ""))
+      blocks.push({type: "quote", paragraphs: lines2paragraphs(quoted)})
+    }
+    else if(isCommentStart(line)) {
+      const start = index
+      takeWhile(line => !line.includes("-->"))
+      const last = Math.min(index, lines.length - 1)
+      const text = lines.slice(start, last + 1).join("\n")
+        .replace(/^\s*<!--/, "")
+        .replace(/-->[\s\S]*$/, "")
+      blocks.push({type: "comment", paragraphs: lines2paragraphs(text.split("\n"))})
+      index = last + 1
+    }
+    else {
+      const text = takeWhile(line => line.trim() && !isHeading(line) && !isBreak(line) && !isQuote(line) && !isCommentStart(line))
+      blocks.push({type: "p", paragraphs: lines2paragraphs(text)})
+    }
+  }
+
+  return blocks
+
+  function takeWhile(cond) {
+    const start = index
+    while(index < lines.length && cond(lines[index])) index++
+    return lines.slice(start, index)
+  }
+}
+
+// Empty lines separate paragraphs, other lines are joined
+
+function lines2paragraphs(lines) {
+  return lines
+    .join("\n")
+    .split(/\n\s*\n/)
+    .map(text => text.replaceAll(/\s+/g, " ").trim())
+    .filter(text => text)
+}
+
+//-----------------------------------------------------------------------------
+// Inline emphasis: runs of "*" or "_" open or close italic (1), bold (2) or
+// both (3). Run can open, if it is followed by non-space, and close, if it
+// is preceded by non-space. Underscores inside words are not emphasis.
+// Unclosed runs are taken as literal text.
+//-----------------------------------------------------------------------------
+
+function md2marks(text) {
+  const literal = new Set()
+
+  for(;;) {
+    const {leaves, unclosed} = parseEmphasis(text, literal)
+    if(!unclosed.length) return leaves2elems(leaves)
+    for(const pos of unclosed) literal.add(pos)
+  }
+}
+
+function parseEmphasis(text, literal) {
+  const leaves = []
+  const opened = {bold: undefined, italic: undefined}
+  var current = ""
+  var pos = 0
+
+  function flush() {
+    if(current) leaves.push({text: current, bold: opened.bold !== undefined, italic: opened.italic !== undefined})
+    current = ""
+  }
+
+  while(pos < text.length) {
+    const c = text[pos]
+
+    if(c === "\\" && pos + 1 < text.length && /[\\`*_{}[\]()#+\-.!>]/.test(text[pos + 1])) {
+      current += text[pos + 1]
+      pos += 2
+      continue
+    }
+
+    if(c !== "*" && c !== "_") {
+      current += c
+      pos++
+      continue
+    }
+
+    const run = text.slice(pos).match(c === "*" ? /^\*+/ : /^_+/)[0]
+    const prev = text[pos - 1] ?? " "
+    const next = text[pos + run.length] ?? " "
+    const intraword = c === "_" && /\w/.test(prev) && /\w/.test(next)
+    const canOpen = !/\s/.test(next) && !intraword
+    const canClose = !/\s/.test(prev) && !intraword
+    const marks = runMarks(run.length)
+
+    if(!literal.has(pos) && marks && canClose && marks.every(mark => opened[mark] !== undefined)) {
+      flush()
+      for(const mark of marks) opened[mark] = undefined
+    }
+    else if(!literal.has(pos) && marks && canOpen && marks.every(mark => opened[mark] === undefined)) {
+      flush()
+      for(const mark of marks) opened[mark] = pos
+    }
+    else {
+      current += run
+    }
+    pos += run.length
+  }
+  flush()
+
+  const unclosed = Object.values(opened).filter(pos => pos !== undefined)
+  return {leaves, unclosed}
+}
+
+function runMarks(length) {
+  switch(length) {
+    case 1: return ["italic"]
+    case 2: return ["bold"]
+    case 3: return ["bold", "italic"]
+    default: break
+  }
+  return undefined
+}
+
+function unescape(text) {
+  return text.replaceAll(/\\([\\`*_{}[\]()#+\-.!>])/g, "$1")
+}
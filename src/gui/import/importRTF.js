@@ -0,0 +1,295 @@
+//*****************************************************************************
+//
+// RTF import
+//
+//*****************************************************************************
+
+import React, {
+  useEffect
+} from 'react';
+
+import {
+  Label,
+  TextField,
+  MenuItem,
+} from "../common/factory";
+
+import { nanoid } from "../../document/util";
+import { leaves2elems, mergeLeaves, isSceneBreak } from "./util";
+
+export class ImportRTF extends React.PureComponent {
+
+  constructor(props) {
+    super(props);
+    this.state = {
+      pagebreak: "chapter",
+    };
+  }
+
+  setPagebreak(pagebreak) {
+    this.setState({pagebreak})
+  }
+
+  render() {
+    const {content, setImported} = this.props
+
+    return <>
+      <Label>RTF import</Label>
+      <TextField select label="Page breaks" value={this.state.pagebreak} onChange={e => this.setPagebreak(e.target.value)}>
+        <MenuItem value="chapter">Chapter</MenuItem>
+        <MenuItem value="scene">Scene</MenuItem>
+        <MenuItem value="none">Ignore</MenuItem>
+      </TextField>
+      <UpdateImported content={content} setImported={setImported} settings={this.state}/>
+    </>
+  }
+}
+
+function UpdateImported({content, setImported, settings}) {
+  useEffect(() => {
+    setImported(importRTF(content, settings))
+  }, [content, setImported, settings])
+}
+
+//*****************************************************************************
+//
+// Paragraphs to chapters and scenes:
+//
+// - Heading outline levels: level 1 starts a chapter, deeper levels scenes
+// - Page and section breaks start a chapter (or scene, or are ignored). If
+//   the first paragraph after the break is all bold, it is the heading.
+// - Scene break paragraphs start a new scene at next paragraph
+//
+//*****************************************************************************
+
+export function importRTF(content, settings = {}) {
+
+  if(!content) return undefined
+
+  const {pagebreak = "chapter"} = settings
+
+  const chapters = []
+  var chapter = undefined
+  var scene = undefined
+
+  for(const p of rtf2paragraphs(content)) {
+    const leaves = mergeLeaves(p.leaves)
+    const text = leaves.map(leaf => leaf.text).join("").trim()
+
+    if(p.outline === 0) {
+      newChapter(text)
+    }
+    else if(p.outline > 0) {
+      newScene(text)
+    }
+    else if(p.pagebreak && pagebreak !== "none") {
+      const heading = leaves.every(leaf => leaf.bold || !leaf.text.trim())
+      if(pagebreak === "chapter") newChapter(heading ? text : undefined)
+      else newScene(heading ? text : undefined)
+      if(!heading) addParagraph(leaves)
+    }
+    else if(isSceneBreak(text)) {
+      if(scene?.elements.length) scene = undefined
+    }
+    else {
+      addParagraph(leaves)
+    }
+  }
+
+  return chapters
+
+  //---------------------------------------------------------------------------
+
+  function newChapter(name) {
+    chapter = {
+      type: "element", name: "chapter", id: nanoid(),
+      attributes: { name },
+      elements: []
+    }
+    chapters.push(chapter)
+    scene = undefined
+  }
+
+  function newScene(name) {
+    if(!chapter) newChapter()
+    scene = {
+      type: "element", name: "scene", id: nanoid(),
+      attributes: { name },
+      elements: []
+    }
+    chapter.elements.push(scene)
+  }
+
+  function addParagraph(leaves) {
+    if(!scene) newScene()
+    scene.elements.push({
+      type: "element", name: "p", id: nanoid(),
+      elements: leaves2elems(trimLeaves(leaves))
+    })
+  }
+}
+
+function trimLeaves(leaves) {
+  const trimmed = leaves.map(leaf => ({...leaf}))
+  if(trimmed.length) {
+    trimmed[0].text = trimmed[0].text.trimStart()
+    trimmed[trimmed.length - 1].text = trimmed[trimmed.length - 1].text.trimEnd()
+  }
+  return trimmed.filter(leaf => leaf.text)
+}
+
+//*****************************************************************************
+//
+// RTF parser. Only the text, bold and italic runs, and paragraph properties
+// needed for structure are extracted:
+//
+//    {leaves: [{text, bold, italic}], pagebreak, outline}
+//
+// Groups save the state, and it is restored when the group ends. Unknown
+// control words are ignored, and text in non-text destinations (font table,
+// headers, pictures, ...) is skipped.
+//
+//*****************************************************************************
+
+const destinations = new Set([
+  "fonttbl", "colortbl", "stylesheet", "listtable", "listoverridetable",
+  "info", "generator", "rsidtbl", "xmlnstbl", "revtbl", "filetbl",
+  "header", "headerl", "headerr", "headerf",
+  "footer", "footerl", "footerr", "footerf",
+  "footnote", "annotation", "fldinst",
+  "pict", "object", "shp", "nonshppict",
+  "themedata", "colorschememapping", "latentstyles", "datastore",
+])
+
+const symbols = {
+  "emdash": "—",
+  "endash": "–",
+  "lquote": "‘",
+  "rquote": "’",
+  "ldblquote": "“",
+  "rdblquote": "”",
+  "bullet": "•",
+  "tab": " ",
+  "line": " ",
+  "~": " ",
+  "_": "‑",
+  "-": "",
+  "\\": "\\",
+  "{": "{",
+  "}": "}",
+}
+
+function rtf2paragraphs(content) {
+  const tokens = /\\([a-zA-Z]+)(-?\d+)? ?|\\'([0-9a-fA-F]{2})|\\([\s\S])|([{}])|[\r\n]+|([^\\{}\r\n]+)/g
+
+  const paragraphs = []
+  const stack = []
+
+  var state = {bold: false, italic: false, skip: false, uc: 1, pagebb: false, outline: undefined}
+  var leaves = []
+  var pending = false   // Page break before next paragraph
+  var fallback = 0      // Characters to skip after unicode character
+  var decoder = new TextDecoder("windows-1252")
+
+  for(const [, word, param, hex, symbol, brace, text] of content.matchAll(tokens)) {
+    if(brace === "{") {
+      stack.push(state)
+      state = {...state}
+    }
+    else if(brace === "}") {
+      state = stack.pop() ?? state
+    }
+    else if(text !== undefined) {
+      addText(text)
+    }
+    else if(hex !== undefined) {
+      addText(decoder.decode(Uint8Array.of(parseInt(hex, 16))))
+    }
+    else if(symbol !== undefined) {
+      controlSymbol(symbol)
+    }
+    else if(word !== undefined) {
+      controlWord(word, param === undefined ? undefined : parseInt(param))
+    }
+  }
+  endParagraph()
+
+  return paragraphs
+
+  //---------------------------------------------------------------------------
+
+  function addText(text) {
+    if(fallback) {
+      const skipped = Math.min(fallback, text.length)
+      fallback -= skipped
+      text = text.slice(skipped)
+    }
+    if(!text || state.skip) return
+    leaves.push({text, bold: state.bold, italic: state.italic})
+  }
+
+  function endParagraph() {
+    if(state.skip) return
+    const pagebreak = pending || state.pagebb
+    if(leaves.some(leaf => leaf.text.trim())) {
+      paragraphs.push({leaves, pagebreak, outline: state.outline})
+      pending = false
+    } else {
+      pending = pagebreak
+    }
+    leaves = []
+  }
+
+  function controlSymbol(symbol) {
+    switch(symbol) {
+      case "*": state.skip = true; break
+      case "\r":
+      case "\n": endParagraph(); break
+      default:
+        if(symbol in symbols) addText(symbols[symbol])
+        break
+    }
+  }
+
+  function controlWord(word, param) {
+    if(destinations.has(word)) {
+      state.skip = true
+      return
+    }
+    switch(word) {
+      case "par": endParagraph(); break
+      case "page":
+      case "sect":
+        endParagraph()
+        if(!state.skip) pending = true
+        break
+      case "pard":
+        state.pagebb = false
+        state.outline = undefined
+        break
+      case "pagebb": state.pagebb = (param !== 0); break
+      case "outlinelevel": state.outline = param; break
+      case "plain":
+        state.bold = false
+        state.italic = false
+        break
+      case "b": state.bold = (param !== 0); break
+      case "i": state.italic = (param !== 0); break
+      case "uc": state.uc = param ?? 1; break
+      case "u":
+        addText(String.fromCharCode(param < 0 ? param + 65536 : param))
+        fallback = state.uc
+        break
+      case "ansicpg":
+        try {
+          decoder = new TextDecoder(`windows-${param}`)
+        } catch(e) {
+          // Unknown code page, keep the previous one
+        }
+        break
+      default:
+        if(word in symbols) addText(symbols[word])
+        break
+    }
+  }
+}
@@ -45,13 +45,22 @@ function PreviewScene(scene) {
 }
 
 function PreviewParagraph(p) {
-  const text = p.elements.map(n => n.text).join(" ")
-  return <p key={p.id}>
-    {text}
+  return <p key={p.id} className={p.name}>
+    {p.elements.map(PreviewMarks)}
     <span style={{marginLeft: "2pt", color: "grey"}}>&para;</span>
   </p>
 }
 
+function PreviewMarks(elem, index) {
+  if(elem.type === "text") return elem.text
+  const children = elem.elements?.map(PreviewMarks)
+  switch(elem.name) {
+    case "b": return <b key={index}>{children}</b>
+    case "i": return <i key={index}>{children}</i>
+    default: return <span key={index}>{children}</span>
+  }
+}
+
 function ImportIndex({imported}) {
   return <div className="TOC" style={{maxWidth: "300px"}}>
     <DeferredRender>{imported.map(chapterIndex)}</DeferredRender>
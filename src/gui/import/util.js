@@ -10,3 +10,41 @@ export function text2lines(content, linebreak = "\n\n") {
     .split(linebreak)
     .map(line => line.replaceAll(/\s+/g, " ").trim())
 }
+
+//-----------------------------------------------------------------------------
+// Text with marks ({text, bold, italic}) to XML paragraph content
+//-----------------------------------------------------------------------------
+
+export function leaves2elems(leaves) {
+  return leaves.map(({text, bold, italic}) => {
+    var elem = {type: "text", text}
+    if(italic) elem = {type: "element", name: "i", elements: [elem]}
+    if(bold) elem = {type: "element", name: "b", elements: [elem]}
+    return elem
+  })
+}
+
+// Joins adjacent leaves with same marks, and collapses white space
+
+export function mergeLeaves(leaves) {
+  const merged = []
+  for(const leaf of leaves) {
+    const last = merged[merged.length - 1]
+    if(last && !last.bold === !leaf.bold && !last.italic === !leaf.italic) {
+      last.text += leaf.text
+    } else {
+      merged.push({...leaf})
+    }
+  }
+  return merged
+    .map(leaf => ({...leaf, text: leaf.text.replaceAll(/\s+/g, " ")}))
+    .filter(leaf => leaf.text)
+}
+
+//-----------------------------------------------------------------------------
+// Scene break paragraphs in word processor files: "* * *", "***" or "#"
+//-----------------------------------------------------------------------------
+
+export function isSceneBreak(text) {
+  return /^(\*\s*){3}$|^#$/.test(text.trim())
+}
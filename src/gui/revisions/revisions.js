@@ -0,0 +1,136 @@
+//*****************************************************************************
+//*****************************************************************************
+//
+// Revision browser: revisions stored to version control archive
+//
+//*****************************************************************************
+//*****************************************************************************
+
+import "../common/styles/sheet.css"
+
+import React, {
+  useState, useEffect, useCallback,
+} from "react"
+
+import {
+  HBox, VBox, VFiller, Filler,
+  ToolBox, Button, Label,
+  List, ListItemButton, ListItemText,
+  Separator,
+  DeferredRender,
+  Inform,
+} from "../common/factory"
+
+import { mawe } from "../../document"
+import { nanoid } from "../../document/util"
+import { vctlRevisions, vctlRevision } from "../../document/verctl"
+
+import { FormatBody } from "../export/formatDoc"
+import { formatHTML } from "../export/formatHTML"
+
+//*****************************************************************************
+//
+// Revision view
+//
+//*****************************************************************************
+
+export function Revisions({doc, updateDoc}) {
+
+  const [revisions, setRevisions] = useState([])
+  const [selected, setSelected] = useState()
+  const [preview, setPreview] = useState()
+
+  // Archive is found with file and uuid
+  const {file, uuid} = doc
+
+  useEffect(() => {
+    vctlRevisions({file, uuid})
+    .then(setRevisions)
+    .catch(err => Inform.error(err))
+  }, [file, uuid])
+
+  const select = useCallback(revision => {
+    setSelected(revision.name)
+    vctlRevision({file, uuid}, revision.name)
+    .then(buffer => setPreview(mawe.create(buffer)))
+    .catch(err => Inform.error(err))
+  }, [file, uuid])
+
+  // Only the story content is restored, settings are kept. Annotations in
+  // the restored text are added to current ones.
+
+  function restore() {
+    const current = doc.annotations ?? []
+    const ids = new Set(current.map(annotation => annotation.id))
+
+    updateDoc({
+      ...doc,
+      key: nanoid(),
+      head: preview.head,
+      body: preview.body,
+      notes: preview.notes,
+      annotations: [
+        ...current,
+        ...(preview.annotations ?? []).filter(annotation => !ids.has(annotation.id))
+      ],
+    })
+    Inform.success(`Restored: ${selected}`)
+  }
+
+  return <HBox style={{overflow: "auto"}}>
+    <VBox style={{maxWidth: "300px", width: "300px", borderRight: "1px solid lightgray"}}>
+      <ToolBox style={{background: "white"}}>
+        <Label>Revisions: {revisions.length}</Label>
+      </ToolBox>
+      <RevisionList revisions={revisions} selected={selected} select={select}/>
+    </VBox>
+    <VFiller>
+      <ToolBox style={{background: "white"}}>
+        <Label>{selected ?? "No revision selected"}</Label>
+        <Filler/>
+        <Separator/>
+        <Button variant="contained" color="success" disabled={!preview} onClick={restore}>Restore</Button>
+      </ToolBox>
+      <Preview story={preview}/>
+    </VFiller>
+  </HBox>
+}
+
+//-----------------------------------------------------------------------------
+
+function RevisionList({revisions, selected, select}) {
+  if(!revisions.length) return <Label style={{padding: "8px"}}>No saved revisions.</Label>
+
+  return <List dense style={{overflow: "auto"}}>
+    {revisions.map(revision => <ListItemButton
+      key={revision.name}
+      selected={revision.name === selected}
+      onClick={e => select(revision)}
+    >
+      <ListItemText
+        primary={revision.date.toLocaleString()}
+        secondary={revisionWords(revision)}
+      />
+    </ListItemButton>
+    )}
+  </List>
+}
+
+function revisionWords({number, words}) {
+  const text = words?.text ?? 0
+  const missing = words?.missing ?? 0
+  return `#${number}: ${text + missing} words` + (missing ? ` (${text} / ${missing})` : "")
+}
+
+//-----------------------------------------------------------------------------
+
+function Preview({story}) {
+  if(!story) return <div className="Filler Board"/>
+
+  return <div className="Filler Board">
+    <DeferredRender><div
+      className="Sheet Regular"
+      dangerouslySetInnerHTML={{ __html: FormatBody(formatHTML, story) }}
+    /></DeferredRender>
+  </div>
+}
@@ -29,3 +29,30 @@ export function appLog(message) {
 export function appBeep() {
   return syscall("beep");
 }
+
+//-----------------------------------------------------------------------------
+// Printing: returns PDF content
+//-----------------------------------------------------------------------------
+
+export function printPDF(html, options) {
+  return syscall("printpdf", html, options);
+}
+
+//-----------------------------------------------------------------------------
+// Spell checking: language is {code, locale} of story language, returns the
+// dictionary in use. Words are the story's own dictionary.
+//-----------------------------------------------------------------------------
+
+export function spellSetLanguage(lang) {
+  return syscall("spelllang", {code: lang.code, locale: lang.locale});
+}
+
+export function spellSetWords(words) {
+  return syscall("spellwords", words);
+}
+
+// Words ignored from context menu
+
+export function onSpellIgnore(callback) {
+  return window.ipc.answerMain("spellignore", callback);
+}
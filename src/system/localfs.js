@@ -58,8 +58,8 @@ export function read(fileid, encoding="utf8") {
   return fscall("read", fileid, encoding);
 }
 
-export function write(fileid, content, encoding="utf8") {
-  return fscall("write", fileid, content, encoding);
+export function write(fileid, content, encoding="utf8", options) {
+  return fscall("write", fileid, content, encoding, options);
 }
 
 export function settingsread(fileid, encoding="utf8") {
@@ -74,6 +74,10 @@ export function rename(fileid, name) {
   return fscall("rename", fileid, name);
 }
 
+export function mkdir(dirid) {
+  return fscall("mkdir", dirid);
+}
+
 export function move(fileid, dirid) {
   throw new Error("Not implemented.");
 }
@@ -82,6 +86,23 @@ export function remove(fileid) {
   throw new Error("Not implemented.");
 }
 
+//-----------------------------------------------------------------------------
+// File modification watching
+//-----------------------------------------------------------------------------
+
+export function watch(fileid) {
+  return fscall("watch", fileid);
+}
+
+export function unwatch(fileid) {
+  return fscall("unwatch", fileid);
+}
+
+// Returns function to remove the callback
+export function onchange(callback) {
+  return window.ipc.answerMain("filechanged", callback);
+}
+
 //-----------------------------------------------------------------------------
 
 export function getlocation(location) {